@@ -4,6 +4,62 @@
 let alertLevels = [];
 let lastPrices = {}; // Store last price per symbol for crossing detection
 let triggeredAlerts = new Set(); // Track which alerts have been triggered
+let sessionOpens = {}; // First price of the day per symbol
+let priceHistory = {}; // Sampled [time, price] pairs per symbol for rolling moves
+let moveReferences = {}; // Creation-time references for 'ALL' move levels
+let moveState = {}; // Last measured move per level/symbol for crossing detection
+let zoneState = {}; // Inside/outside tracking per zone level/symbol
+let lastCloses = {}; // Last finalized bar { time, close } per symbol:timeframe
+let disarmedAt = {}; // When each triggered alert key was disarmed (for cooldown re-arm)
+let atrValues = {}; // Latest chart ATR per symbol, reported by the content script
+let optionState = {}; // Whether each option level's condition held on the last chain quote
+let volumeState = {}; // Bar time each volume level last fired on, per level/symbol/timeframe
+let alertHistory = []; // Triggered alerts, newest first, with acknowledgement state
+let patternRules = []; // Pattern alert rules: pattern, direction, symbol, timeframe, min confidence
+let patternMatches = {}; // When each rule fired for a detected bar, so reports from several tabs alert once
+let exchangeTimezone = 'America/New_York'; // Session windows and reminders use exchange time
+let chartTabs = {}; // Connected chart tabs by tab id: symbol, timeframe, last price, last seen
+let chartTabsSavedAt = 0;
+let engineSaveTimer = null;
+const PRICE_SAMPLE_INTERVAL = 5000;
+const ENGINE_SAVE_INTERVAL = 5000; // Plain ticks only refresh prices and moves, so batch their writes
+const MAX_VOLUME_LOOKBACK = 50; // Bars of volume history the chart tabs report
+const MAX_ALERT_HISTORY = 200;
+const SNOOZE_MINUTES = 15;
+const SESSION_WINDOWS = {
+  rth: [['09:30', '16:00']],
+  eth: [['04:00', '09:30'], ['16:00', '20:00']]
+};
+const SESSION_CLOSE = '16:00'; // "End of day" expiry, in exchange time
+const ESCALATION_INTERVAL_MINUTES = 1; // Re-notify period for unacknowledged critical alerts
+const MAX_WEBHOOK_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE = 30000; // Doubles after every failed attempt
+const MAX_WEBHOOK_LOG = 50;
+const SYNC_DEBOUNCE = 3000;
+const SYNC_CHUNK_BYTES = 7800; // Under the 8 KB per-item sync quota, key included
+const SYNC_TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+const CHART_TAB_SAVE_INTERVAL = 10000;
+const CHART_TAB_STALE = 120000; // Hidden tabs have throttled timers, so allow a long gap
+const DEFAULT_WEBHOOK_TEMPLATE = `{
+  "event": "{{event}}",
+  "symbol": "{{symbol}}",
+  "price": {{price}},
+  "direction": "{{direction}}",
+  "message": "{{message}}",
+  "time": "{{time}}"
+}`;
+
+// The MV3 worker is killed when idle, so engine state is mirrored to
+// chrome.storage.session and restored before any message is handled
+const engineReady = Promise.all([
+  loadAlertLevels(), restoreEngineState(), loadAlertHistory(), restoreChartTabs(), loadScheduleSettings(),
+  loadPatternRules()
+]);
+let engineQueue = engineReady;
+engineReady.then(scheduleLevelAlarms);
+let webhookChain = Promise.resolve();
+let syncChain = Promise.resolve();
+let syncTimer = null;
 
 // Initialize
 chrome.runtime.onInstalled.addListener(() => {
@@ -34,179 +90,2101 @@ async function loadAlertLevels() {
 // Save alert levels to storage
 async function saveAlertLevels() {
   await chrome.storage.local.set({ alertLevels });
+  scheduleLevelAlarms();
+
+  // Notify content script to update visual lines
+  const tabs = await chrome.tabs.query({ url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'] });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'LEVELS_UPDATED',
+      levels: alertLevels
+    }).catch(() => {});
+  });
+}
+
+// Exchange timezone for session windows and reminders
+async function loadScheduleSettings() {
+  const result = await chrome.storage.local.get(['scheduleSettings']);
+  exchangeTimezone = (result.scheduleSettings && result.scheduleSettings.timezone) || 'America/New_York';
+}
+
+async function loadPatternRules() {
+  const result = await chrome.storage.local.get(['patternRules']);
+  patternRules = result.patternRules || [];
+}
+
+async function savePatternRules() {
+  await chrome.storage.local.set({ patternRules });
+}
+
+// Load triggered-alert history and refresh the unacknowledged badge
+async function loadAlertHistory() {
+  const result = await chrome.storage.local.get(['alertHistory']);
+  alertHistory = result.alertHistory || [];
+  updateActionBadge();
+}
+
+// Save triggered-alert history and refresh the badge
+async function saveAlertHistory() {
+  updateActionBadge();
+  await chrome.storage.local.set({ alertHistory });
+}
+
+// Record a trigger in the history as unacknowledged
+function recordAlertHistory(level, symbol, price, direction, title, message) {
+  alertHistory.unshift({
+    id: generateId(),
+    levelId: level.id,
+    levelType: level.type || 'price',
+    color: level.color,
+    symbol,
+    price,
+    direction,
+    title,
+    message,
+    triggeredAt: Date.now(),
+    acknowledged: false,
+    critical: !!level.critical,
+    escalations: 0
+  });
+  trimAlertHistory();
+  saveAlertHistory();
+  return alertHistory[0];
+}
+
+// Drop the oldest entries past the cap: acknowledged ones first, then other
+// non-critical ones; a critical alert nobody has acknowledged is never dropped
+function trimAlertHistory() {
+  const droppable = [
+    entry => entry.acknowledged,
+    entry => !entry.critical
+  ];
+  droppable.forEach(canDrop => {
+    for (let i = alertHistory.length - 1; i >= 0 && alertHistory.length > MAX_ALERT_HISTORY; i--) {
+      if (canDrop(alertHistory[i])) alertHistory.splice(i, 1);
+    }
+  });
+}
+
+// Mark history entries acknowledged; critical ones stop escalating everywhere
+async function acknowledgeAlerts(entries) {
+  entries.forEach(entry => {
+    entry.acknowledged = true;
+    if (entry.critical) {
+      chrome.notifications.clear(getCriticalNotificationId(entry));
+    }
+  });
+  saveAlertHistory();
+
+  const criticalIds = entries.filter(e => e.critical).map(e => e.id);
+  if (criticalIds.length === 0) return;
+
+  if (!alertHistory.some(h => h.critical && !h.acknowledged)) {
+    chrome.alarms.clear('critical-escalation');
+  }
+
+  // Take down the flashing banners on every chart
+  const tabs = await chrome.tabs.query({ url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'] });
+  tabs.forEach(tab => {
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'CRITICAL_ACKNOWLEDGED',
+      ids: criticalIds
+    }).catch(() => {});
+  });
+}
+
+// Show the number of unacknowledged triggers on the action icon
+function updateActionBadge() {
+  const unacknowledged = alertHistory.filter(h => !h.acknowledged).length;
+  chrome.action.setBadgeText({ text: unacknowledged > 0 ? String(unacknowledged) : '' });
+  chrome.action.setBadgeBackgroundColor({ color: '#ef5350' });
+}
+
+// Restore last prices and triggered alerts after a worker restart
+async function restoreEngineState() {
+  try {
+    const result = await chrome.storage.session.get(['engineState']);
+    const state = result.engineState || {};
+    lastPrices = state.lastPrices || {};
+    triggeredAlerts = new Set(state.triggeredAlerts || []);
+    sessionOpens = state.sessionOpens || {};
+    priceHistory = state.priceHistory || {};
+    moveReferences = state.moveReferences || {};
+    moveState = state.moveState || {};
+    zoneState = state.zoneState || {};
+    lastCloses = state.lastCloses || {};
+    disarmedAt = state.disarmedAt || {};
+    atrValues = state.atrValues || {};
+    optionState = state.optionState || {};
+    volumeState = state.volumeState || {};
+    patternMatches = state.patternMatches || {};
+    console.log('[TV-Alert] Restored engine state:', Object.keys(lastPrices).length, 'symbols');
+  } catch (e) {
+    console.error('[TV-Alert] Engine state restore error:', e);
+  }
+}
+
+// Persist last prices and triggered alerts for the current browser session
+async function saveEngineState() {
+  clearTimeout(engineSaveTimer);
+  engineSaveTimer = null;
+  try {
+    await chrome.storage.session.set({
+      engineState: {
+        lastPrices,
+        triggeredAlerts: [...triggeredAlerts],
+        sessionOpens,
+        priceHistory,
+        moveReferences,
+        moveState,
+        zoneState,
+        lastCloses,
+        disarmedAt,
+        atrValues,
+        optionState,
+        volumeState,
+        patternMatches
+      }
+    });
+  } catch (e) {
+    console.error('[TV-Alert] Engine state save error:', e);
+  }
+}
+
+// Run engine work one task at a time so ticks are processed in arrival order
+function runEngineTask(task) {
+  engineQueue = engineQueue.then(task).catch(e => {
+    console.error('[TV-Alert] Engine task error:', e);
+  });
+  return engineQueue;
+}
+
+// Generate unique ID
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+// Normalize a symbol for matching (NASDAQ:AAPL, aapl and "AAPL " all become AAPL)
+function normalizeSymbol(symbol) {
+  if (!symbol) return '';
+  const ticker = String(symbol).trim().split(/\s+/)[0];
+  return ticker.replace(/^[A-Z0-9_]+:/i, '').toUpperCase();
+}
+
+// Snoozed levels stay enabled but are skipped until snoozedUntil passes
+function isLevelSnoozed(level, now) {
+  return !!level.snoozedUntil && level.snoozedUntil > now;
+}
+
+// Expired levels and levels outside their session window are skipped
+function isLevelOffSchedule(level, now) {
+  if (level.expiresAt && now >= level.expiresAt) return true;
+  return !isLevelInSession(level, now);
+}
+
+// Whether the level's trading-session window (weekdays, exchange time) is open
+function isLevelInSession(level, now) {
+  if (!level.session || level.session === 'any') return true;
+
+  const { weekday, hour, minute } = getZonedParts(now, exchangeTimezone);
+  if (weekday === 0 || weekday === 6) return false;
+
+  const minutes = hour * 60 + minute;
+  const windows = level.session === 'custom'
+    ? [[level.sessionStart, level.sessionEnd]]
+    : SESSION_WINDOWS[level.session] || [];
+  return windows.some(([start, end]) => minutes >= clockToMinutes(start) && minutes < clockToMinutes(end));
+}
+
+function clockToMinutes(clock) {
+  const [hour, minute] = String(clock || '0:0').split(':').map(Number);
+  return hour * 60 + (minute || 0);
+}
+
+// Wall-clock date and time of a timestamp in the given timezone
+function getZonedParts(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    weekday: 'short'
+  }).formatToParts(new Date(timestamp));
+  const get = type => parts.find(p => p.type === type).value;
+
+  return {
+    year: Number(get('year')),
+    month: Number(get('month')),
+    day: Number(get('day')),
+    hour: Number(get('hour')) % 24,
+    minute: Number(get('minute')),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+  };
+}
+
+// Timestamp of a wall-clock time in the given timezone (two passes settle DST edges)
+function zonedTimeToTimestamp({ year, month, day, hour, minute }, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let timestamp = wallAsUtc;
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(timestamp, timeZone);
+    timestamp = wallAsUtc - (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - timestamp);
+  }
+  return timestamp;
+}
+
+// Next time after `after` that a clock time falls on one of the given weekdays
+function getNextClockTime(clock, days, after = Date.now()) {
+  const [hour, minute] = clock.split(':').map(Number);
+  const today = getZonedParts(after, exchangeTimezone);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (days && days.length > 0 && !days.includes(date.getUTCDay())) continue;
+
+    const timestamp = zonedTimeToTimestamp({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour,
+      minute
+    }, exchangeTimezone);
+    if (timestamp > after) return timestamp;
+  }
+  return null;
+}
+
+// Short zone name for messages, e.g. "EDT"
+function getTimezoneLabel() {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone: exchangeTimezone, timeZoneName: 'short' })
+    .formatToParts(new Date());
+  return parts.find(p => p.type === 'timeZoneName').value;
+}
+
+// Keep one alarm per reminder and per expiring level in step with the level store
+async function scheduleLevelAlarms() {
+  const alarms = await chrome.alarms.getAll();
+  const now = Date.now();
+  const wanted = {};
+
+  alertLevels.forEach(level => {
+    if (!level.enabled) return;
+    if (level.type === 'reminder') {
+      const when = getNextClockTime(level.time, level.days, now);
+      if (when) wanted[`reminder|${level.id}`] = when;
+    }
+    if (level.expiresAt) {
+      wanted[`expire|${level.id}`] = Math.max(level.expiresAt, now + 1000);
+    }
+  });
+
+  alarms.forEach(alarm => {
+    if (/^(reminder|expire)\|/.test(alarm.name) && !wanted[alarm.name]) {
+      chrome.alarms.clear(alarm.name);
+    }
+  });
+  Object.entries(wanted).forEach(([name, when]) => {
+    const existing = alarms.find(a => a.name === name);
+    if (!existing || Math.abs(existing.scheduledTime - when) > 1000) {
+      chrome.alarms.create(name, { when });
+    }
+  });
+}
+
+// A reminder's alarm went off: alert, then schedule the next one or retire a one-time reminder
+async function fireReminder(levelId) {
+  const level = alertLevels.find(l => l.id === levelId);
+  if (!level || !level.enabled || level.type !== 'reminder') return;
+
+  if (!isLevelSnoozed(level, Date.now())) {
+    const symbol = level.symbol || 'ALL';
+    triggerAlert(level, symbol, lastPrices[symbol] || null, 'time', { timeZone: getTimezoneLabel() });
+  }
+
+  if (level.repeating) {
+    scheduleLevelAlarms();
+  } else {
+    updateLevel(level.id, { enabled: false });
+  }
+}
+
+// A level reached its expiry: switch it off (re-enabling it clears the expiry)
+function expireLevel(levelId) {
+  const level = alertLevels.find(l => l.id === levelId);
+  if (!level || !level.enabled || !level.expiresAt) return;
+  if (Date.now() < level.expiresAt) {
+    scheduleLevelAlarms(); // Alarm came early or the expiry moved
+    return;
+  }
+
+  updateLevel(levelId, { enabled: false });
+  console.log(`[TV-Alert] Level ${levelId} expired`);
+}
+
+// Check whether a level applies to the given symbol ('ALL' or unset = every symbol)
+function levelMatchesSymbol(level, symbol) {
+  if (!level.symbol || level.symbol === 'ALL') return true;
+  return normalizeSymbol(level.symbol) === normalizeSymbol(symbol);
+}
+
+// Check if price crossed any alert levels
+// Returns the crossings to fire; callers persist engine state before firing them
+function checkPriceCrossings(rawSymbol, currentPrice) {
+  const triggers = [];
+  const symbol = normalizeSymbol(rawSymbol);
+  if (!symbol) return triggers;
+
+  const now = Date.now();
+  recordPriceSample(symbol, currentPrice, now);
+
+  const lastPrice = lastPrices[symbol];
+
+  if (!lastPrice) {
+    lastPrices[symbol] = currentPrice;
+    return triggers;
+  }
+
+  alertLevels.forEach(level => {
+    if (!level.enabled || isLevelSnoozed(level, now) || isLevelOffSchedule(level, now)) return;
+    if (!levelMatchesSymbol(level, symbol)) return;
+    if (level.confirmOnClose) return; // Evaluated on bar close instead
+    if (level.type === 'option') return; // Evaluated on option chain quotes instead
+    if (level.type === 'reminder') return; // Fired by its alarm instead
+    if (level.type === 'volume') return; // Evaluated on bar volume instead
+
+    if (level.type === 'move') {
+      checkMoveLevel(level, symbol, currentPrice, now, triggers);
+    } else if (level.type === 'zone') {
+      checkZoneLevel(level, symbol, lastPrice, currentPrice, now, triggers);
+    } else if (level.type === 'trendline') {
+      checkPriceLevel(level, symbol, lastPrice, currentPrice, triggers, trendlinePriceAt(level, now));
+    } else {
+      checkPriceLevel(level, symbol, lastPrice, currentPrice, triggers);
+    }
+  });
+
+  lastPrices[symbol] = currentPrice;
+  return triggers;
+}
+
+// Option contract levels: fire when the watched quote field reaches the threshold.
+// The condition re-arms once a later chain refresh shows it no longer holds
+function checkOptionQuotes(rawSymbol, quotes) {
+  const triggers = [];
+  const symbol = normalizeSymbol(rawSymbol);
+  const now = Date.now();
+
+  alertLevels.forEach(level => {
+    if (level.type !== 'option' || level.symbol !== symbol) return;
+    if (!level.enabled || isLevelSnoozed(level, now) || isLevelOffSchedule(level, now)) return;
+
+    const quote = quotes.find(q =>
+      q.optionType === level.optionType &&
+      Number(q.strike) === level.strike &&
+      Number(q.expiration) === level.expiration
+    );
+    const value = quote ? getOptionQuoteValue(quote, level.field) : null;
+    if (!(value > 0)) return;
+
+    const holds = level.direction === 'below' ? value <= level.price : value >= level.price;
+    const held = optionState[level.id];
+    optionState[level.id] = holds;
+
+    if (holds && !held) {
+      triggers.push({
+        level,
+        symbol,
+        price: value,
+        direction: level.direction,
+        details: { field: level.field, levelPrice: level.price, underlying: lastPrices[symbol] || null }
+      });
+    }
+  });
+
+  return triggers;
+}
+
+// Read bid, ask, last or mid from a chain quote
+function getOptionQuoteValue(quote, field) {
+  if (field === 'mid') {
+    return quote.bid > 0 && quote.ask > 0 ? (quote.bid + quote.ask) / 2 : quote.last;
+  }
+  return quote[field];
+}
+
+// Short contract label such as "SPY 500C 6/21"
+function formatOptionContract(level) {
+  const expiry = new Date(level.expiration * 1000);
+  const date = `${expiry.getUTCMonth() + 1}/${expiry.getUTCDate()}`;
+  return `${level.symbol} ${level.strike}${level.optionType === 'put' ? 'P' : 'C'} ${date}`;
+}
+
+// Price of a trendline at a given time, extended through its two anchors
+function trendlinePriceAt(level, time) {
+  const [a, b] = level.anchors;
+  const slope = (b.price - a.price) / (b.time - a.time);
+  return a.price + slope * (time - a.time);
+}
+
+// Fixed price level: fire when the tick crosses the level
+// levelPrice overrides level.price for levels whose price moves (trendlines)
+function checkPriceLevel(level, symbol, lastPrice, currentPrice, triggers, levelPrice = level.price) {
+  // Per symbol, so an 'ALL' level firing on one chart stays armed on the others
+  const alertKey = `${level.id}:${symbol}-${level.direction}`;
+
+  // Check for crossing
+  let crossed = false;
+  let direction = '';
+
+  if (level.direction === 'above' || level.direction === 'both') {
+    // Price crossed from below to above
+    if (lastPrice < levelPrice && currentPrice >= levelPrice) {
+      crossed = true;
+      direction = 'above';
+    }
+  }
+
+  if (level.direction === 'below' || level.direction === 'both') {
+    // Price crossed from above to below
+    if (lastPrice > levelPrice && currentPrice <= levelPrice) {
+      crossed = true;
+      direction = 'below';
+    }
+  }
+
+  if (crossed && !triggeredAlerts.has(alertKey)) {
+    triggers.push({ level, symbol, price: currentPrice, direction, details: { levelPrice } });
+
+    // Disarm after firing; one-time alerts stay disarmed until the level is saved or re-enabled
+    triggeredAlerts.add(alertKey);
+    disarmedAt[alertKey] = Date.now();
+  }
+
+  // Repeating alerts re-arm once the level's re-arm rule is satisfied
+  if (level.repeating && triggeredAlerts.has(alertKey) &&
+      shouldRearm(level, symbol, levelPrice, currentPrice, disarmedAt[alertKey])) {
+    triggeredAlerts.delete(alertKey);
+    delete disarmedAt[alertKey];
+  }
+}
+
+// Re-arm rule for price and trendline alerts ({ mode, value, tickSize });
+// levels without one keep the original 0.5% distance
+function shouldRearm(level, symbol, levelPrice, currentPrice, firedAt) {
+  const rule = level.rearm || { mode: 'percent', value: 0.5 };
+  const distance = Math.abs(currentPrice - levelPrice);
+
+  switch (rule.mode) {
+    case 'cooldown':
+      return Date.now() - (firedAt || 0) >= rule.value * 60000;
+    case 'ticks':
+      return distance >= rule.value * (rule.tickSize || 0.01);
+    case 'atr': {
+      const atr = atrValues[symbol];
+      // Until the chart reports an ATR, fall back to the default distance
+      if (!atr) return (distance / levelPrice) * 100 > 0.5;
+      return distance >= rule.value * atr;
+    }
+    default:
+      return (distance / levelPrice) * 100 > rule.value;
+  }
+}
+
+// Move level: fire when price moves X% or $X away from its reference
+function checkMoveLevel(level, symbol, currentPrice, now, triggers) {
+  const stateKey = `${level.id}:${symbol}`;
+  const alertKey = `${stateKey}-${level.direction}`;
+  const reference = getMoveReference(level, symbol, currentPrice, now);
+  if (!reference) return;
+
+  // Fixed references only count moves made within the window after them
+  const windowMs = (level.windowMinutes || 0) * 60000;
+  if (level.reference !== 'rolling' && windowMs && now - reference.time > windowMs) {
+    delete moveState[stateKey];
+    return;
+  }
+
+  const move = getMoveAmount(level, reference.price, currentPrice);
+  const lastMove = moveState[stateKey];
+  moveState[stateKey] = move;
+  if (lastMove === undefined) return;
+
+  const threshold = level.threshold;
+  let direction = '';
+
+  if ((level.direction === 'above' || level.direction === 'both') &&
+      lastMove < threshold && move >= threshold) {
+    direction = 'above';
+  }
+
+  if ((level.direction === 'below' || level.direction === 'both') &&
+      lastMove > -threshold && move <= -threshold) {
+    direction = 'below';
+  }
+
+  if (direction && !triggeredAlerts.has(alertKey)) {
+    triggers.push({
+      level,
+      symbol,
+      price: currentPrice,
+      direction,
+      details: { reference: reference.price, move }
+    });
+
+    // Disarm after firing; one-time moves stay disarmed until the level is saved or re-enabled
+    triggeredAlerts.add(alertKey);
+  }
+
+  // Repeating moves re-arm once the move has fallen back under half the threshold
+  if (level.repeating && triggeredAlerts.has(alertKey) && Math.abs(move) < threshold / 2) {
+    triggeredAlerts.delete(alertKey);
+  }
+}
+
+// Zone level: fire on entering, leaving, or staying inside low..high
+function checkZoneLevel(level, symbol, lastPrice, currentPrice, now, triggers) {
+  const stateKey = `${level.id}:${symbol}`;
+  const alertKey = `${stateKey}-zone`;
+  const inside = currentPrice >= level.low && currentPrice <= level.high;
+  const previous = zoneState[stateKey] || {
+    inside: lastPrice >= level.low && lastPrice <= level.high,
+    since: now,
+    fired: false
+  };
+  const state = previous.inside === inside
+    ? previous
+    : { inside, since: now, fired: false };
+  zoneState[stateKey] = state;
+
+  let direction = '';
+  const event = level.zoneEvent || 'enter';
+
+  if (event === 'enter' && inside && !previous.inside) {
+    direction = lastPrice < level.low ? 'above' : 'below';
+  } else if (event === 'exit' && !inside && previous.inside) {
+    direction = currentPrice > level.high ? 'above' : 'below';
+  } else if (event === 'inside' && inside && !state.fired &&
+             now - state.since >= (level.insideMinutes || 0) * 60000) {
+    state.fired = true;
+    direction = 'inside';
+  }
+
+  if (direction && !triggeredAlerts.has(alertKey)) {
+    triggers.push({
+      level,
+      symbol,
+      price: currentPrice,
+      direction,
+      details: { minutesInside: Math.round((now - state.since) / 60000) }
+    });
+
+    // One-time zones stay disarmed until the zone is edited or re-enabled
+    if (!level.repeating) {
+      triggeredAlerts.add(alertKey);
+    }
+  }
+}
+
+// Signed move from reference, in the level's unit (percent or price)
+function getMoveAmount(level, referencePrice, currentPrice) {
+  const change = currentPrice - referencePrice;
+  return level.unit === 'amount' ? change : (change / referencePrice) * 100;
+}
+
+// Resolve the reference { price, time } a move level measures from
+function getMoveReference(level, symbol, currentPrice, now) {
+  if (level.reference === 'rolling') {
+    const windowMs = (level.windowMinutes || 5) * 60000;
+    const samples = priceHistory[symbol] || [];
+    const sample = samples.find(([t]) => t >= now - windowMs);
+    return sample ? { price: sample[1], time: sample[0] } : null;
+  }
+
+  if (level.reference === 'creation') {
+    // Symbol-scoped levels keep the price captured when they were created;
+    // 'ALL' levels take the first price seen for each symbol afterwards
+    if (level.referencePrice && level.symbol && level.symbol !== 'ALL') {
+      return { price: level.referencePrice, time: level.createdAt };
+    }
+    const key = `${level.id}:${symbol}`;
+    if (!moveReferences[key]) {
+      moveReferences[key] = { price: currentPrice, time: now };
+    }
+    return moveReferences[key];
+  }
+
+  // Only today's regular session counts; before the open there is no reference yet
+  const open = sessionOpens[symbol];
+  return open && open.date === getExchangeDate(now) ? open : null;
+}
+
+// Exchange-local calendar date, e.g. "2026-3-9"
+function getExchangeDate(timestamp) {
+  const parts = getZonedParts(timestamp, exchangeTimezone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+// Track session open and a sampled price history for rolling-window moves
+function recordPriceSample(symbol, price, now) {
+  // Session open is the first price at or after the regular-hours open, in exchange time
+  const parts = getZonedParts(now, exchangeTimezone);
+  const today = `${parts.year}-${parts.month}-${parts.day}`;
+  const afterOpen = parts.hour * 60 + parts.minute >= clockToMinutes(SESSION_WINDOWS.rth[0][0]);
+  if (afterOpen && (!sessionOpens[symbol] || sessionOpens[symbol].date !== today)) {
+    sessionOpens[symbol] = { date: today, price, time: now };
+  }
+
+  const rollingLevels = alertLevels.filter(l => l.enabled && l.type === 'move' && l.reference === 'rolling');
+  if (rollingLevels.length === 0) {
+    delete priceHistory[symbol];
+    return;
+  }
+
+  const samples = priceHistory[symbol] || (priceHistory[symbol] = []);
+  const last = samples[samples.length - 1];
+  if (!last || now - last[0] >= PRICE_SAMPLE_INTERVAL) {
+    samples.push([now, price]);
+  }
+
+  const maxWindow = Math.max(...rollingLevels.map(l => l.windowMinutes || 5)) * 60000;
+  while (samples.length > 0 && samples[0][0] < now - maxWindow - PRICE_SAMPLE_INTERVAL) {
+    samples.shift();
+  }
+}
+
+// Drop triggered and per-symbol engine state for a deleted or edited level
+function clearLevelState(levelId) {
+  const prefix = `${levelId}:`;
+  Object.keys(disarmedAt).forEach(k => { if (k.startsWith(prefix)) delete disarmedAt[k]; });
+  Object.keys(moveState).forEach(k => { if (k.startsWith(prefix)) delete moveState[k]; });
+  Object.keys(moveReferences).forEach(k => { if (k.startsWith(prefix)) delete moveReferences[k]; });
+  Object.keys(zoneState).forEach(k => { if (k.startsWith(prefix)) delete zoneState[k]; });
+  Object.keys(volumeState).forEach(k => { if (k.startsWith(prefix)) delete volumeState[k]; });
+  delete optionState[levelId];
+  [...triggeredAlerts].forEach(k => { if (k.startsWith(prefix)) triggeredAlerts.delete(k); });
+}
+
+// Ids of levels with at least one alert waiting to re-arm
+function getDisarmedLevelIds() {
+  return [...new Set([...triggeredAlerts].map(key => key.split(/[:-]/)[0]))];
+}
+
+// Current reference price of each move level for a symbol (drawn as bands)
+function getMoveBandReferences(rawSymbol) {
+  const symbol = normalizeSymbol(rawSymbol);
+  const references = {};
+  const now = Date.now();
+
+  alertLevels.forEach(level => {
+    if (!level.enabled || level.type !== 'move') return;
+    if (!levelMatchesSymbol(level, symbol)) return;
+
+    const reference = getMoveReference(level, symbol, lastPrices[symbol], now);
+    if (reference) references[level.id] = reference.price;
+  });
+
+  return references;
+}
+
+// Treat TradingView's 'D' and '1D' (likewise W/M) as the same timeframe
+function normalizeTimeframe(timeframe) {
+  const tf = String(timeframe || '').toUpperCase();
+  return /^1[DWM]$/.test(tf) ? tf.slice(1) : tf;
+}
+
+// Check close-confirmed levels against a finalized bar
+// Only the bar's close counts, so intrabar wicks through a level are ignored
+function checkCandleClose(rawSymbol, timeframe, candle) {
+  const triggers = [];
+  const symbol = normalizeSymbol(rawSymbol);
+  const tf = normalizeTimeframe(timeframe);
+  if (!symbol || !tf || !candle) return triggers;
+
+  // Several tabs can report the same bar; evaluate each bar once
+  const key = `${symbol}:${tf}`;
+  const previous = lastCloses[key];
+  if (previous && previous.time >= candle.timestamp) return triggers;
+  lastCloses[key] = { time: candle.timestamp, close: candle.close };
+  if (!previous) return triggers;
+
+  alertLevels.forEach(level => {
+    if (!level.enabled || !level.confirmOnClose || isLevelSnoozed(level, Date.now())) return;
+    if (isLevelOffSchedule(level, candle.timestamp)) return;
+    if (!levelMatchesSymbol(level, symbol)) return;
+    if (normalizeTimeframe(level.confirmTimeframe) !== tf) return;
+
+    const levelPrice = level.type === 'trendline'
+      ? trendlinePriceAt(level, candle.timestamp)
+      : level.price;
+    const levelTriggers = [];
+    checkPriceLevel(level, symbol, previous.close, candle.close, levelTriggers, levelPrice);
+    levelTriggers.forEach(t => {
+      t.details = { ...t.details, confirmed: true, timeframe: tf };
+      triggers.push(t);
+    });
+  });
+
+  return triggers;
+}
+
+// Volume levels: fire when the forming bar's volume reaches N× the average of the
+// previous M bars, or an absolute threshold. Each bar fires at most once
+function checkVolumeBar(rawSymbol, timeframe, bar, previous) {
+  const triggers = [];
+  const symbol = normalizeSymbol(rawSymbol);
+  const tf = normalizeTimeframe(timeframe);
+  if (!symbol || !tf || !bar || !(bar.volume > 0)) return triggers;
+
+  const now = Date.now();
+  alertLevels.forEach(level => {
+    if (level.type !== 'volume' || !level.enabled) return;
+    if (isLevelSnoozed(level, now) || isLevelOffSchedule(level, now)) return;
+    if (!levelMatchesSymbol(level, symbol)) return;
+    if (level.timeframe && normalizeTimeframe(level.timeframe) !== tf) return;
+
+    // Several tabs can report the same bar
+    const stateKey = `${level.id}:${symbol}:${tf}`;
+    if (volumeState[stateKey] >= bar.timestamp) return;
+
+    const recent = previous.slice(-level.lookback);
+    const average = recent.length >= level.lookback
+      ? recent.reduce((sum, v) => sum + v, 0) / recent.length
+      : 0;
+    const ratio = average > 0 ? bar.volume / average : 0;
+    const spike = level.multiplier > 0 && ratio >= level.multiplier;
+    if (!spike && !(level.minVolume > 0 && bar.volume >= level.minVolume)) return;
+
+    volumeState[stateKey] = bar.timestamp;
+    triggers.push({
+      level,
+      symbol,
+      price: bar.close || lastPrices[symbol] || null,
+      direction: 'above',
+      details: {
+        timeframe: tf, volume: bar.volume, average, ratio, spike,
+        // Display text for chart toasts, so formatting stays in one place
+        volumeText: formatVolume(bar.volume),
+        minVolumeText: level.minVolume ? formatVolume(level.minVolume) : null
+      }
+    });
+  });
+
+  return triggers;
+}
+
+// e.g. 1.25M, 830K
+function formatVolume(volume) {
+  if (volume >= 1e9) return `${(volume / 1e9).toFixed(2)}B`;
+  if (volume >= 1e6) return `${(volume / 1e6).toFixed(2)}M`;
+  if (volume >= 1e3) return `${(volume / 1e3).toFixed(1)}K`;
+  return String(Math.round(volume));
+}
+
+// Process a forming bar's volume from a chart tab
+async function processVolumeUpdate(symbol, timeframe, bar, previous) {
+  const triggers = checkVolumeBar(symbol, timeframe, bar, previous);
+  if (triggers.length === 0) return;
+  await saveEngineState();
+  triggers.forEach(t => triggerAlert(t.level, t.symbol, t.price, t.direction, t.details));
+}
+
+// Process a finalized bar from a chart tab
+async function processCandleClose(symbol, timeframe, candle) {
+  const triggers = checkCandleClose(symbol, timeframe, candle);
+  await saveEngineState();
+  triggers.forEach(t => triggerAlert(t.level, t.symbol, t.price, t.direction, t.details));
+}
+
+// Process option contract quotes from the chain panel against option levels
+async function processOptionQuotes(symbol, quotes) {
+  const triggers = checkOptionQuotes(symbol, quotes);
+  await saveEngineState();
+  triggers.forEach(t => triggerAlert(t.level, t.symbol, t.price, t.direction, t.details));
+}
+
+// Process a price tick: detect crossings, persist state, then notify
+async function processPriceUpdate(symbol, price, atr) {
+  if (atr > 0) atrValues[normalizeSymbol(symbol)] = atr;
+  const armingBefore = getArmingSnapshot();
+  const triggers = checkPriceCrossings(symbol, price);
+
+  // Firing, disarming and zone changes must survive a restart exactly once;
+  // otherwise a few seconds of stale prices only widen the next comparison
+  if (triggers.length > 0 || getArmingSnapshot() !== armingBefore) {
+    await saveEngineState();
+  } else {
+    scheduleEngineSave();
+  }
+  triggers.forEach(t => triggerAlert(t.level, t.symbol, t.price, t.direction, t.details));
+}
+
+// Disarmed alerts, zone positions and session opens, compared before and after a tick
+function getArmingSnapshot() {
+  return JSON.stringify([[...triggeredAlerts], zoneState, sessionOpens]);
+}
+
+function scheduleEngineSave() {
+  if (engineSaveTimer) return;
+  engineSaveTimer = setTimeout(saveEngineState, ENGINE_SAVE_INTERVAL);
+}
+
+// Handle trade signal from content script
+async function handleTradeSignal(data) {
+  const { side, symbol, price, timestamp } = data;
+  console.log(`[TV-Alert] Trade signal: ${side} ${symbol} @ ${price}`);
+
+  // Show browser notification for trade
+  const icon = side === 'BUY' ? '🟢' : '🔴';
+  const title = side === 'BUY' ? 'BUY Order' : 'SELL Order';
+
+  try {
+    await chrome.notifications.create(`tv-trade|${normalizeSymbol(symbol)}|${generateId()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: `${icon} ${title} - ${symbol}`,
+      message: `${side} @ ${price.toFixed(2)}\nTime: ${new Date(timestamp).toLocaleTimeString()}`,
+      priority: 2
+    });
+  } catch (e) {
+    console.error('[TV-Alert] Trade notification error:', e);
+  }
+
+  sendWebhookEvent('trade', {
+    symbol,
+    price,
+    direction: side,
+    side,
+    message: `${side} @ ${price.toFixed(2)}`,
+    time: new Date(timestamp).toISOString()
+  });
+}
+
+// Forward a detected candlestick pattern to webhooks
+function handlePatternDetected(pattern) {
+  if (!pattern) return;
+  const symbol = normalizeSymbol(pattern.symbol);
+  sendWebhookEvent('pattern', {
+    symbol,
+    price: lastPrices[symbol] || null,
+    direction: pattern.direction,
+    pattern: pattern.name,
+    confidence: pattern.confidence,
+    timeframe: pattern.timeframe,
+    message: `${pattern.name} (${pattern.confidence}%)`,
+    time: new Date(pattern.timestamp || Date.now()).toISOString()
+  });
+}
+
+// ============ PATTERN RULES ============
+
+// Build a rule from a SAVE_PATTERN_RULE message; returns { rule } or { error }
+function buildPatternRule(spec, existing) {
+  const minConfidence = Number(spec.minConfidence);
+  if (!(minConfidence >= 0 && minConfidence <= 100)) {
+    return { error: 'Confidence must be between 0 and 100' };
+  }
+  return {
+    rule: {
+      id: existing ? existing.id : generateId(),
+      pattern: spec.pattern || 'any',
+      direction: ['bullish', 'bearish', 'neutral'].includes(spec.direction) ? spec.direction : 'any',
+      symbol: normalizeSymbol(spec.symbol) || 'ALL',
+      timeframe: spec.timeframe || '',
+      minConfidence,
+      enabled: existing ? existing.enabled : true,
+      createdAt: existing ? existing.createdAt : Date.now()
+    }
+  };
+}
+
+// Whether a detected pattern satisfies a rule ('any'/empty fields match everything)
+function patternMatchesRule(rule, pattern, symbol) {
+  if (!rule.enabled || !levelMatchesSymbol(rule, symbol)) return false;
+  if (rule.pattern !== 'any' && rule.pattern !== pattern.name) return false;
+  if (rule.direction !== 'any' && rule.direction !== pattern.direction) return false;
+  if (rule.timeframe && normalizeTimeframe(rule.timeframe) !== normalizeTimeframe(pattern.timeframe)) return false;
+  return (pattern.confidence || 0) >= rule.minConfidence;
+}
+
+// Alert once per matching rule and bar, however many tabs report the pattern
+async function checkPatternRules(pattern, symbol) {
+  const now = Date.now();
+  Object.keys(patternMatches).forEach(key => {
+    if (now - patternMatches[key] > 24 * 60 * 60 * 1000) delete patternMatches[key];
+  });
+
+  const matched = patternRules.filter(rule => {
+    if (!patternMatchesRule(rule, pattern, symbol)) return false;
+    const key = `${rule.id}|${symbol}|${pattern.timeframe}|${pattern.name}|${pattern.timestamp}`;
+    if (patternMatches[key]) return false;
+    patternMatches[key] = now;
+    return true;
+  });
+  if (matched.length === 0) return;
+
+  await saveEngineState();
+  matched.forEach(rule => triggerPatternAlert(rule, pattern, symbol));
+}
+
+async function triggerPatternAlert(rule, pattern, symbol) {
+  const icon = pattern.direction === 'bullish' ? '📈' : pattern.direction === 'bearish' ? '📉' : '⚖️';
+  const tf = /^\d+$/.test(pattern.timeframe || '') ? `${pattern.timeframe}m` : pattern.timeframe || '';
+  const title = `${icon} Pattern Alert - ${symbol}`;
+  const message = `${pattern.name}${tf ? ` on ${tf}` : ''} (${pattern.confidence}% confidence)`;
+  console.log(`[TV-Alert] Pattern rule ${rule.id} matched: ${symbol} ${pattern.name}`);
+
+  const color = pattern.direction === 'bullish' ? '#26a69a' : pattern.direction === 'bearish' ? '#ef5350' : '#ff9800';
+  recordAlertHistory({ id: rule.id, type: 'pattern', color }, symbol, lastPrices[symbol] || null, pattern.direction, title, message);
+
+  try {
+    await chrome.notifications.create(`tv-pattern|${symbol}|${generateId()}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title,
+      message,
+      contextMessage: 'Click to open chart',
+      priority: 2
+    });
+  } catch (e) {
+    console.error('[TV-Alert] Notification error:', e);
+  }
+}
+
+// Fill {{placeholders}} in the webhook template; strings are JSON-escaped so
+// they can sit inside quotes, numbers are inserted as-is, unknown keys as null
+function renderWebhookTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    const value = values[key];
+    if (value === undefined || value === null) return 'null';
+    if (typeof value === 'number') return String(value);
+    return JSON.stringify(String(value)).slice(1, -1);
+  });
+}
+
+// Run webhook work one task at a time so queue and log writes don't interleave
+function runWebhookTask(task) {
+  webhookChain = webhookChain.then(task).catch(e => {
+    console.error('[TV-Alert] Webhook task error:', e);
+  });
+  return webhookChain;
+}
+
+// POST an event to every configured webhook URL
+function sendWebhookEvent(event, values) {
+  return runWebhookTask(() => postWebhookEvent(event, values));
+}
+
+async function postWebhookEvent(event, values) {
+  const result = await chrome.storage.local.get(['webhookSettings']);
+  const settings = result.webhookSettings;
+  if (!settings || !settings.enabled || !(settings.urls || []).length) return;
+  if (settings.events && settings.events[event] === false) return;
+
+  const body = renderWebhookTemplate(settings.template || DEFAULT_WEBHOOK_TEMPLATE, { event, ...values });
+  for (const url of settings.urls) {
+    await deliverWebhook({
+      id: generateId(),
+      event,
+      url,
+      body,
+      attempts: 0,
+      createdAt: Date.now()
+    });
+  }
+}
+
+// Attempt one delivery; failures are queued for retry with exponential backoff
+async function deliverWebhook(delivery) {
+  delivery.attempts++;
+  let error = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: delivery.body,
+      signal: AbortSignal.timeout(10000)
+    });
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (e) {
+    error = e.message;
+  }
+
+  const retrying = !!error && delivery.attempts < MAX_WEBHOOK_ATTEMPTS;
+  if (retrying) {
+    delivery.nextAttemptAt = Date.now() + WEBHOOK_RETRY_BASE * 2 ** (delivery.attempts - 1);
+    await updateWebhookQueue(queue => [...queue, delivery]);
+  }
+
+  console.log(`[TV-Alert] Webhook ${delivery.event} -> ${delivery.url}: ${error || 'delivered'}`);
+  await logWebhookDelivery(delivery, error ? (retrying ? 'retrying' : 'failed') : 'delivered', error);
+}
+
+// Read-modify-write the persisted retry queue and schedule the next retry alarm
+async function updateWebhookQueue(update) {
+  const result = await chrome.storage.local.get(['webhookQueue']);
+  const queue = update(result.webhookQueue || []);
+  await chrome.storage.local.set({ webhookQueue: queue });
+
+  if (queue.length > 0) {
+    const next = Math.min(...queue.map(d => d.nextAttemptAt));
+    chrome.alarms.create('webhook-retry', { when: Math.max(next, Date.now() + 1000) });
+  } else {
+    chrome.alarms.clear('webhook-retry');
+  }
+}
+
+// Retry every queued delivery that is due
+async function processWebhookQueue() {
+  const now = Date.now();
+  let due = [];
+  await updateWebhookQueue(queue => {
+    due = queue.filter(d => d.nextAttemptAt <= now);
+    return queue.filter(d => d.nextAttemptAt > now);
+  });
+  for (const delivery of due) {
+    await deliverWebhook(delivery);
+  }
+}
+
+// Keep the latest state of each delivery in the log shown in settings
+async function logWebhookDelivery(delivery, status, error) {
+  const result = await chrome.storage.local.get(['webhookLog']);
+  const log = (result.webhookLog || []).filter(entry => entry.id !== delivery.id);
+  log.unshift({
+    id: delivery.id,
+    event: delivery.event,
+    url: delivery.url,
+    status,
+    error: error || null,
+    attempts: delivery.attempts,
+    nextAttemptAt: status === 'retrying' ? delivery.nextAttemptAt : null,
+    time: Date.now()
+  });
+  if (log.length > MAX_WEBHOOK_LOG) log.length = MAX_WEBHOOK_LOG;
+  await chrome.storage.local.set({ webhookLog: log });
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === 'webhook-retry') {
+    runWebhookTask(processWebhookQueue);
+  } else if (alarm.name === 'critical-escalation') {
+    engineReady.then(escalateCriticalAlerts);
+  } else if (alarm.name === 'alert-sync') {
+    runSyncTask(syncNow);
+  } else if (alarm.name.startsWith('reminder|')) {
+    engineReady.then(() => runEngineTask(() => fireReminder(alarm.name.split('|')[1])));
+  } else if (alarm.name.startsWith('expire|')) {
+    engineReady.then(() => runEngineTask(() => expireLevel(alarm.name.split('|')[1])));
+  }
+});
+
+// ============ CROSS-DEVICE SYNC ============
+// Levels and templates are mirrored to chrome.storage.sync as one compact JSON
+// document split into chunks (sync_0..sync_N, described by sync_meta). Each
+// device merges per item by updatedAt; deletions travel as tombstones.
+
+// Run sync passes one at a time so merges never interleave
+function runSyncTask(task) {
+  syncChain = syncChain.then(task).catch(e => {
+    console.error('[TV-Alert] Sync error:', e);
+  });
+  return syncChain;
+}
+
+// Coalesce bursts of local or remote changes into one sync pass
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => runSyncTask(syncNow), SYNC_DEBOUNCE);
+}
+
+function getSyncItemTime(item) {
+  return item.updatedAt || item.createdAt || 0;
+}
+
+// Newest copy of each item wins; a tombstone newer than the item deletes it
+function mergeSyncItems(local, remote, tombstones) {
+  const byId = new Map();
+  [...local, ...remote].forEach(item => {
+    const current = byId.get(item.id);
+    if (!current || getSyncItemTime(item) > getSyncItemTime(current)) {
+      byId.set(item.id, item);
+    }
+  });
+  return [...byId.values()].filter(item => !(tombstones[item.id] >= getSyncItemTime(item)));
+}
+
+// Read the chunked document back from sync storage (null when empty)
+async function readSyncDocument() {
+  const stored = await chrome.storage.sync.get(null);
+  const meta = stored.sync_meta;
+  if (!meta) return null;
+
+  let text = '';
+  for (let i = 0; i < meta.chunks; i++) {
+    if (typeof stored[`sync_${i}`] !== 'string') {
+      throw new Error('Synced data is incomplete (another device may be writing)');
+    }
+    text += stored[`sync_${i}`];
+  }
+  return { text, data: JSON.parse(text), chunkKeys: Object.keys(stored).filter(k => /^sync_\d+$/.test(k)) };
+}
+
+// Split text into chunks whose stored size stays under the per-item quota
+function splitSyncChunks(text) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let size = Math.min(SYNC_CHUNK_BYTES, text.length - start);
+    // Escaped quotes and multi-byte characters grow the stored size
+    while (encoder.encode(JSON.stringify(text.slice(start, start + size))).length > SYNC_CHUNK_BYTES - 16) {
+      size = Math.floor(size * 0.9);
+    }
+    chunks.push(text.slice(start, start + size));
+    start += size;
+  }
+  return chunks;
+}
+
+async function setSyncStatus(status) {
+  await chrome.storage.local.set({ syncStatus: { ...status, updatedAt: Date.now() } });
+}
+
+// One full sync pass: pull, merge with local levels/templates, push if anything changed
+async function syncNow() {
+  const { syncSettings, levelTemplates, syncState } =
+    await chrome.storage.local.get(['syncSettings', 'levelTemplates', 'syncState']);
+  if (!syncSettings || !syncSettings.enabled) return;
+
+  await engineReady;
+  const previous = syncState || { levelIds: [], templateIds: [], tombstones: {} };
+  const now = Date.now();
+
+  let remote;
+  try {
+    remote = await readSyncDocument();
+  } catch (e) {
+    await setSyncStatus({ state: 'error', error: e.message });
+    scheduleSync();
+    return;
+  }
+  const remoteData = (remote && remote.data) || { levels: [], templates: [], tombstones: {} };
+
+  // Anything synced last time but missing now was deleted on this device
+  const tombstones = { ...previous.tombstones };
+  Object.entries(remoteData.tombstones || {}).forEach(([id, deletedAt]) => {
+    tombstones[id] = Math.max(tombstones[id] || 0, deletedAt);
+  });
+  const localTemplates = levelTemplates || [];
+  const localIds = new Set([...alertLevels, ...localTemplates].map(item => item.id));
+  [...previous.levelIds, ...previous.templateIds].forEach(id => {
+    if (!localIds.has(id)) tombstones[id] = Math.max(tombstones[id] || 0, now);
+  });
+  Object.keys(tombstones).forEach(id => {
+    if (now - tombstones[id] > SYNC_TOMBSTONE_TTL) delete tombstones[id];
+  });
+
+  // Merge and apply levels without awaiting, so a level added meanwhile isn't lost
+  const levels = mergeSyncItems(alertLevels, remoteData.levels || [], tombstones);
+  if (JSON.stringify(levels) !== JSON.stringify(alertLevels)) {
+    const kept = new Set(levels.map(l => l.id));
+    alertLevels.filter(l => !kept.has(l.id)).forEach(l => clearLevelState(l.id));
+    alertLevels = levels;
+    saveAlertLevels();
+    saveEngineState();
+  }
+
+  const templates = mergeSyncItems(localTemplates, remoteData.templates || [], tombstones);
+  if (JSON.stringify(templates) !== JSON.stringify(localTemplates) && (levelTemplates || templates.length > 0)) {
+    await chrome.storage.local.set({ levelTemplates: templates });
+  }
+
+  // Compact: null fields are dropped; readers treat missing and null alike
+  const text = JSON.stringify({ levels, templates, tombstones }, (key, value) => (value === null ? undefined : value));
+  const chunks = splitSyncChunks(text);
+  const quota = chrome.storage.sync.QUOTA_BYTES;
+  const bytes = new TextEncoder().encode(text).length;
+
+  if (!remote || remote.text !== text) {
+    if (bytes > quota * 0.95) {
+      await setSyncStatus({
+        state: 'error',
+        error: `Too much to sync: ${Math.ceil(bytes / 1024)} KB of ${Math.floor(quota / 1024)} KB`,
+        bytesInUse: bytes,
+        quota
+      });
+      return;
+    }
+
+    const items = { sync_meta: { chunks: chunks.length, updatedAt: now } };
+    chunks.forEach((chunk, i) => { items[`sync_${i}`] = chunk; });
+    try {
+      await chrome.storage.sync.set(items);
+      const stale = ((remote && remote.chunkKeys) || []).filter(k => Number(k.slice(5)) >= chunks.length);
+      if (stale.length > 0) await chrome.storage.sync.remove(stale);
+    } catch (e) {
+      // Usually the per-minute write quota; the next pass retries
+      await setSyncStatus({ state: 'error', error: e.message, bytesInUse: bytes, quota });
+      return;
+    }
+  }
+
+  await chrome.storage.local.set({
+    syncState: {
+      levelIds: levels.map(l => l.id),
+      templateIds: templates.map(t => t.id),
+      tombstones
+    }
+  });
+  await setSyncStatus({
+    state: 'ok',
+    lastSyncAt: now,
+    levels: levels.length,
+    templates: templates.length,
+    bytesInUse: await chrome.storage.sync.getBytesInUse(null),
+    quota
+  });
+  console.log(`[TV-Alert] Synced ${levels.length} levels, ${templates.length} templates`);
+}
+
+// Format a signed move for display (+1.25% or -$2.40)
+function formatMove(level, move) {
+  const sign = move >= 0 ? '+' : '-';
+  return level.unit === 'amount'
+    ? `${sign}$${Math.abs(move).toFixed(2)}`
+    : `${sign}${Math.abs(move).toFixed(2)}%`;
+}
+
+// Build notification title/message for a triggered level
+function describeAlert(level, symbol, price, direction, details) {
+  const iconColor = direction === 'above' ? '📈' : '📉';
+
+  if (level.type === 'reminder') {
+    const symbolText = symbol && symbol !== 'ALL' ? `\n${symbol}${price ? ` at ${price.toFixed(2)}` : ''}` : '';
+    return {
+      title: `⏰ Reminder - ${level.time} ${details ? details.timeZone : ''}`.trim(),
+      message: `${level.note}${symbolText}`
+    };
+  }
+
+  if (level.type === 'move') {
+    const referenceText = {
+      session_open: 'session open',
+      creation: 'alert creation',
+      rolling: `${level.windowMinutes || 5}m ago`
+    }[level.reference] || 'reference';
+
+    return {
+      title: `${iconColor} Move Alert - ${symbol}`,
+      message: `Moved ${formatMove(level, details.move)} from ${referenceText} (${details.reference.toFixed(2)})\nCurrent: ${price.toFixed(2)}`
+    };
+  }
+
+  if (level.type === 'zone') {
+    const range = `${level.low.toFixed(2)}-${level.high.toFixed(2)}`;
+    const eventText = {
+      enter: `entered zone ${range}`,
+      exit: `left zone ${range} ${direction === 'above' ? 'to the upside' : 'to the downside'}`,
+      inside: `inside zone ${range} for ${details.minutesInside}m`
+    }[level.zoneEvent || 'enter'];
+
+    return {
+      title: `🟧 Zone Alert - ${symbol}`,
+      message: `Price ${eventText}\nCurrent: ${price.toFixed(2)}`
+    };
+  }
+
+  if (level.type === 'volume') {
+    const basis = details.spike
+      ? `${details.ratio.toFixed(1)}× the ${level.lookback}-bar average (${formatVolume(details.average)})`
+      : `above ${formatVolume(level.minVolume)}`;
+    return {
+      title: `📊 Volume Alert - ${symbol}`,
+      message: `${details.timeframe} bar volume ${formatVolume(details.volume)} is ${basis}${price ? `\nCurrent: ${price.toFixed(2)}` : ''}`
+    };
+  }
+
+  if (level.type === 'option') {
+    const condition = direction === 'below' ? '≤' : '≥';
+    return {
+      title: `${iconColor} Option Alert - ${formatOptionContract(level)}`,
+      message: `${level.field.toUpperCase()} ${condition} ${level.price.toFixed(2)}\nCurrent ${level.field}: ${price.toFixed(2)}`
+    };
+  }
+
+  const directionText = direction === 'above' ? 'crossed above' : 'crossed below';
+
+  const closeText = details && details.confirmed ? ` on ${details.timeframe} close` : '';
+
+  if (level.type === 'trendline') {
+    return {
+      title: `${iconColor} Trendline Alert - ${symbol}`,
+      message: `Price ${directionText} trendline at ${details.levelPrice.toFixed(2)}${closeText}!\nCurrent: ${price.toFixed(2)}`
+    };
+  }
+
+  return {
+    title: `${iconColor} Price Alert - ${symbol}`,
+    message: `Price ${directionText} ${level.price.toFixed(2)}${closeText}!\nCurrent: ${price.toFixed(2)}`
+  };
+}
+
+// Trigger an alert
+async function triggerAlert(level, symbol, price, direction, details = null) {
+  console.log(`[TV-Alert] ALERT! ${symbol} ${level.type || 'price'} level ${level.id} (${direction})`);
+
+  // Show browser notification
+  const { title, message } = describeAlert(level, symbol, price, direction, details);
+  const entry = recordAlertHistory(level, symbol, price, direction, title, message);
+  sendWebhookEvent('alert', {
+    symbol,
+    price,
+    direction,
+    levelId: level.id,
+    levelType: level.type || 'price',
+    levelPrice: details && details.levelPrice !== undefined ? details.levelPrice : level.price,
+    title,
+    message,
+    time: new Date().toISOString()
+  });
+
+  try {
+    // The id carries the level and symbol so clicks work after a worker restart
+    if (level.critical) {
+      await chrome.notifications.create(getCriticalNotificationId(entry), {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `⚠️ ${title}`,
+        message,
+        contextMessage: 'Repeats until acknowledged • click to open chart',
+        buttons: [
+          { title: 'Acknowledge' },
+          { title: 'Disable alert' }
+        ],
+        priority: 2,
+        requireInteraction: true
+      });
+      scheduleEscalation();
+    } else {
+      await chrome.notifications.create(`tv-alert|${level.id}|${symbol}|${entry.id}`, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title,
+        message,
+        contextMessage: 'Click to open chart',
+        buttons: [
+          { title: `Snooze ${SNOOZE_MINUTES}m` },
+          { title: 'Disable alert' }
+        ],
+        priority: 2,
+        requireInteraction: true
+      });
+    }
+  } catch (e) {
+    console.error('[TV-Alert] Notification error:', e);
+  }
 
-  // Notify content script to update visual lines
+  // Send message to content script for visual notification
   const tabs = await chrome.tabs.query({ url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'] });
   tabs.forEach(tab => {
     chrome.tabs.sendMessage(tab.id, {
-      type: 'LEVELS_UPDATED',
-      levels: alertLevels
+      type: 'ALERT_TRIGGERED',
+      level,
+      symbol,
+      price,
+      direction,
+      details,
+      alertId: entry.id,
+      title,
+      message
     }).catch(() => {});
   });
+
+  // Play sound and speak the alert through the offscreen player
+  playLevelSound(level);
+  if (level.speak) {
+    chrome.tts.speak(describeSpeech(level, symbol, price, direction, details), {
+      volume: level.volume ?? 0.7,
+      enqueue: true
+    });
+  }
 }
 
-// Generate unique ID
-function generateId() {
-  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+// Critical notifications carry the history entry so its buttons can acknowledge it
+function getCriticalNotificationId(entry) {
+  return `tv-critical|${entry.levelId}|${entry.symbol}|${entry.id}`;
 }
 
-// Check if price crossed any alert levels
-function checkPriceCrossings(symbol, currentPrice) {
-  const lastPrice = lastPrices[symbol];
+// Start the escalation alarm unless one is already running
+async function scheduleEscalation() {
+  const existing = await chrome.alarms.get('critical-escalation');
+  if (!existing) {
+    chrome.alarms.create('critical-escalation', { periodInMinutes: ESCALATION_INTERVAL_MINUTES });
+  }
+}
 
-  if (!lastPrice) {
-    lastPrices[symbol] = currentPrice;
+// Re-notify every unacknowledged critical alert, louder on each round
+async function escalateCriticalAlerts() {
+  const pending = alertHistory.filter(h => h.critical && !h.acknowledged);
+  if (pending.length === 0) {
+    chrome.alarms.clear('critical-escalation');
     return;
   }
 
-  alertLevels.forEach(level => {
-    if (!level.enabled) return;
+  const tabs = await chrome.tabs.query({ url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'] });
+  for (const entry of pending) {
+    entry.escalations = (entry.escalations || 0) + 1;
+    const minutes = Math.round((Date.now() - entry.triggeredAt) / 60000);
+    const notificationId = getCriticalNotificationId(entry);
 
-    const alertKey = `${level.id}-${level.direction}`;
+    try {
+      // Clear first so Chrome pops the notification again instead of updating it silently
+      await chrome.notifications.clear(notificationId);
+      await chrome.notifications.create(notificationId, {
+        type: 'basic',
+        iconUrl: 'icons/icon128.png',
+        title: `⚠️ ${entry.title} (reminder ${entry.escalations})`,
+        message: entry.message,
+        contextMessage: `Unacknowledged for ${minutes}m • click to open chart`,
+        buttons: [
+          { title: 'Acknowledge' },
+          { title: 'Disable alert' }
+        ],
+        priority: 2,
+        requireInteraction: true
+      });
+    } catch (e) {
+      console.error('[TV-Alert] Escalation notification error:', e);
+    }
 
-    // Check for crossing
-    let crossed = false;
-    let direction = '';
+    tabs.forEach(tab => {
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'ALERT_ESCALATED',
+        alertId: entry.id,
+        levelId: entry.levelId,
+        direction: entry.direction,
+        title: entry.title,
+        message: entry.message,
+        escalations: entry.escalations
+      }).catch(() => {});
+    });
+  }
+  saveAlertHistory();
 
-    if (level.direction === 'above' || level.direction === 'both') {
-      // Price crossed from below to above
-      if (lastPrice < level.price && currentPrice >= level.price) {
-        crossed = true;
-        direction = 'above';
-      }
+  // One sound per round, escalated for the longest-ignored alert
+  const loudest = pending.reduce((a, b) => (b.escalations > a.escalations ? b : a));
+  const level = alertLevels.find(l => l.id === loudest.levelId) || {};
+  playLevelSound({
+    ...level,
+    sound: loudest.escalations >= 2 ? 'alarm' : level.sound,
+    volume: Math.min(1, (level.volume ?? 0.7) + 0.15 * loudest.escalations)
+  });
+}
+
+// Levels saved before sound choices stored `sound: true`
+function getLevelSound(level) {
+  if (level.sound === false || level.sound === 'none') return null;
+  return typeof level.sound === 'string' ? level.sound : 'chime';
+}
+
+async function playLevelSound(level) {
+  const sound = getLevelSound(level);
+  if (!sound) return;
+
+  try {
+    await ensureOffscreenDocument();
+    await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'PLAY_SOUND',
+      sound,
+      volume: level.volume ?? 0.7
+    });
+  } catch (e) {
+    console.error('[TV-Alert] Sound playback error:', e);
+  }
+}
+
+// Create the offscreen audio document once; concurrent callers share the promise
+let offscreenCreating = null;
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+  if (contexts.length > 0) return;
+
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: 'offscreen.html',
+      reasons: ['AUDIO_PLAYBACK'],
+      justification: 'Play alert sounds when no chart tab is focused'
+    }).finally(() => { offscreenCreating = null; });
+  }
+  await offscreenCreating;
+}
+
+// Short spoken form of an alert ("AAPL crossed above 185")
+function describeSpeech(level, symbol, price, direction, details) {
+  const spokenPrice = value => String(Number(value.toFixed(2)));
+
+  if (level.type === 'reminder') {
+    return `Reminder: ${level.note}`;
+  }
+  if (level.type === 'move') {
+    return `${symbol} moved ${formatMove(level, details.move).replace('%', ' percent')}`;
+  }
+  if (level.type === 'zone') {
+    const event = { enter: 'entered', exit: 'left', inside: 'is holding inside' }[level.zoneEvent || 'enter'];
+    return `${symbol} ${event} the ${spokenPrice(level.low)} to ${spokenPrice(level.high)} zone`;
+  }
+  if (level.type === 'volume') {
+    return details.spike
+      ? `${symbol} volume is ${details.ratio.toFixed(1)} times average`
+      : `${symbol} volume is above ${formatVolume(level.minVolume)}`;
+  }
+  if (level.type === 'option') {
+    const side = level.optionType === 'put' ? 'put' : 'call';
+    const condition = direction === 'below' ? 'at or below' : 'at or above';
+    return `${symbol} ${level.strike} ${side} ${level.field} is ${condition} ${spokenPrice(level.price)}`;
+  }
+  const target = level.type === 'trendline' ? 'the trendline at ' : '';
+  const levelPrice = details && details.levelPrice !== undefined ? details.levelPrice : price;
+  return `${symbol} crossed ${direction} ${target}${spokenPrice(levelPrice)}`;
+}
+
+// Build a new level from an ADD_LEVEL message or an imported row; returns { level } or { error }
+function buildLevel(spec) {
+  const levelType = spec.levelType || null;
+  const newLevel = {
+    id: generateId(),
+    price: Number(spec.price) || null,
+    symbol: normalizeSymbol(spec.symbol) || 'ALL',
+    direction: spec.direction || 'both',
+    color: spec.color || '#ff9800',
+    enabled: true,
+    repeating: spec.repeating || false,
+    sound: spec.sound || 'chime',
+    volume: spec.volume ?? 0.7,
+    speak: !!spec.speak,
+    critical: !!spec.critical,
+    // Close confirmation applies to price levels and trendlines only
+    confirmOnClose: !!(spec.confirmOnClose && spec.confirmTimeframe &&
+      (!levelType || levelType === 'price' || levelType === 'trendline')),
+    confirmTimeframe: spec.confirmOnClose ? spec.confirmTimeframe || null : null,
+    rearm: spec.rearm || null,
+    drawingId: spec.drawingId || null, // Chart line this level follows, see syncDrawings
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  if (levelType === 'zone') {
+    const low = Math.min(Number(spec.low), Number(spec.high));
+    const high = Math.max(Number(spec.low), Number(spec.high));
+    if (!(low > 0) || low === high) {
+      return { error: 'Zone needs a low and high price' };
+    }
+    Object.assign(newLevel, {
+      type: 'zone',
+      price: null,
+      low,
+      high,
+      zoneEvent: spec.zoneEvent || 'enter',
+      insideMinutes: Number(spec.insideMinutes) || 0
+    });
+  } else if (levelType === 'trendline') {
+    const anchors = (spec.anchors || [])
+      .map(a => ({ time: Number(a.time), price: Number(a.price) }))
+      .sort((a, b) => a.time - b.time);
+    if (anchors.length !== 2 || anchors.some(a => !a.time || !a.price) || anchors[0].time === anchors[1].time) {
+      return { error: 'Trendline needs two anchors at different times' };
+    }
+    if (newLevel.symbol === 'ALL') {
+      return { error: 'Trendline needs a symbol; its anchors are that symbol\'s candles' };
+    }
+    Object.assign(newLevel, { type: 'trendline', price: null, anchors });
+  } else if (levelType === 'move') {
+    const threshold = Number(spec.threshold);
+    if (!(threshold > 0)) {
+      return { error: 'Move needs a positive threshold' };
+    }
+    Object.assign(newLevel, {
+      type: 'move',
+      price: null,
+      threshold,
+      unit: spec.unit === 'amount' ? 'amount' : 'percent',
+      reference: spec.reference || 'session_open',
+      windowMinutes: Number(spec.windowMinutes) || null,
+      referencePrice: Number(spec.referencePrice) || lastPrices[newLevel.symbol] || null
+    });
+  } else if (levelType === 'option') {
+    const strike = Number(spec.strike);
+    const expiration = Number(spec.expiration);
+    if (!['call', 'put'].includes(spec.optionType) || !(strike > 0) || !(expiration > 0)) {
+      return { error: 'Option alert needs a call/put, strike and expiration' };
+    }
+    if (!['bid', 'ask', 'mid', 'last'].includes(spec.field) || !(newLevel.price > 0)) {
+      return { error: 'Option alert needs a quote field and a positive threshold' };
+    }
+    Object.assign(newLevel, {
+      type: 'option',
+      optionType: spec.optionType,
+      strike,
+      expiration,
+      field: spec.field,
+      direction: spec.direction === 'below' ? 'below' : 'above'
+    });
+  } else if (levelType === 'volume') {
+    const multiplier = Number(spec.multiplier);
+    const minVolume = Number(spec.minVolume);
+    const lookback = Math.round(Number(spec.lookback ?? 20));
+    if (!(multiplier > 0) && !(minVolume > 0)) {
+      return { error: 'Volume alert needs a multiple of average volume or a volume threshold' };
     }
+    if (!(lookback >= 1 && lookback <= MAX_VOLUME_LOOKBACK)) {
+      return { error: `Volume average needs 1-${MAX_VOLUME_LOOKBACK} bars` };
+    }
+    Object.assign(newLevel, {
+      type: 'volume',
+      price: null,
+      direction: 'above',
+      multiplier: multiplier > 0 ? multiplier : null,
+      lookback,
+      minVolume: minVolume > 0 ? minVolume : null,
+      timeframe: normalizeTimeframe(spec.timeframe)
+    });
+  } else if (levelType === 'reminder') {
+    const time = String(spec.time || '');
+    if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) {
+      return { error: 'Reminder needs a time as HH:MM' };
+    }
+    const days = (Array.isArray(spec.days) ? spec.days : String(spec.days ?? '1;2;3;4;5').split(/[;,\s]+/))
+      .map(Number)
+      .filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+    Object.assign(newLevel, {
+      type: 'reminder',
+      price: null,
+      direction: 'time',
+      time: time.padStart(5, '0'),
+      days: [...new Set(days)].sort(),
+      note: String(spec.note || '').trim() || 'Reminder'
+    });
+  } else if (levelType && levelType !== 'price') {
+    return { error: `Unknown alert type: ${levelType}` };
+  } else if (!(newLevel.price > 0)) {
+    return { error: 'Price level needs a positive price' };
+  }
 
-    if (level.direction === 'below' || level.direction === 'both') {
-      // Price crossed from above to below
-      if (lastPrice > level.price && currentPrice <= level.price) {
-        crossed = true;
-        direction = 'below';
+  // Session window and expiry, in exchange time (reminders carry their own schedule)
+  if (newLevel.type !== 'reminder') {
+    const session = ['rth', 'eth', 'custom'].includes(spec.session) ? spec.session : 'any';
+    if (session === 'custom') {
+      const clock = /^([01]?\d|2[0-3]):[0-5]\d$/;
+      if (!clock.test(spec.sessionStart || '') || !clock.test(spec.sessionEnd || '') ||
+          clockToMinutes(spec.sessionStart) >= clockToMinutes(spec.sessionEnd)) {
+        return { error: 'Custom session needs a start time before its end time' };
       }
+      newLevel.sessionStart = spec.sessionStart;
+      newLevel.sessionEnd = spec.sessionEnd;
     }
+    newLevel.session = session;
+    newLevel.expiresAt = spec.expires === 'eod'
+      ? getNextClockTime(SESSION_CLOSE, [1, 2, 3, 4, 5])
+      : Number(spec.expiresAt) || null;
+  }
 
-    if (crossed && !triggeredAlerts.has(alertKey)) {
-      triggerAlert(level, symbol, currentPrice, direction);
+  return { level: newLevel };
+}
 
-      // For one-time alerts, mark as triggered
-      if (!level.repeating) {
-        triggeredAlerts.add(alertKey);
-      }
-    }
+// What makes two levels the same alert, ignoring id, color and sound
+function getLevelSignature(level) {
+  const parts = [level.type || 'price', level.symbol, level.direction];
+  if (level.type === 'zone') {
+    parts.push(level.low, level.high, level.zoneEvent, level.insideMinutes);
+  } else if (level.type === 'trendline') {
+    level.anchors.forEach(a => parts.push(a.time, a.price));
+  } else if (level.type === 'move') {
+    parts.push(level.threshold, level.unit, level.reference, level.windowMinutes);
+  } else if (level.type === 'option') {
+    parts.push(level.optionType, level.strike, level.expiration, level.field, level.price);
+  } else if (level.type === 'volume') {
+    parts.push(level.multiplier, level.lookback, level.minVolume, level.timeframe);
+  } else if (level.type === 'reminder') {
+    parts.push(level.time, (level.days || []).join(','), level.note);
+  } else {
+    parts.push(level.price);
+  }
+  return JSON.stringify(parts);
+}
 
-    // Reset triggered state if price moved away from level
-    if (triggeredAlerts.has(alertKey)) {
-      const distance = Math.abs(currentPrice - level.price);
-      const percentDistance = (distance / level.price) * 100;
+// Validate imported levels and merge them into (or replace) the level store.
+// With dryRun, only report what would happen so the sidepanel can preview it
+function importLevels(rows, mode, dryRun) {
+  const replace = mode === 'replace';
+  const existing = new Set(alertLevels.map(getLevelSignature));
+  const inFile = new Set();
+  const preview = [];
+  const imported = [];
 
-      // Reset if price moved more than 0.5% away
-      if (percentDistance > 0.5) {
-        triggeredAlerts.delete(alertKey);
-      }
+  rows.forEach((row, index) => {
+    const built = buildLevel({ ...row, levelType: row.levelType || row.type });
+    if (built.error) {
+      preview.push({ index, status: 'invalid', error: built.error });
+      return;
     }
+
+    const level = built.level;
+    level.enabled = row.enabled !== false;
+    const signature = getLevelSignature(level);
+    if (inFile.has(signature)) {
+      preview.push({ index, status: 'duplicate', of: 'file', level });
+      return;
+    }
+    inFile.add(signature);
+
+    // Against the current store only matters when merging
+    const exists = existing.has(signature);
+    preview.push({ index, status: exists ? 'duplicate' : 'new', of: exists ? 'existing' : null, level });
+    if (replace || !exists) imported.push(level);
   });
 
-  lastPrices[symbol] = currentPrice;
+  if (!dryRun) {
+    if (replace) {
+      alertLevels.forEach(level => clearLevelState(level.id));
+      alertLevels = imported;
+      saveEngineState();
+    } else {
+      alertLevels = [...alertLevels, ...imported];
+    }
+    saveAlertLevels();
+    console.log(`[TV-Alert] Imported ${imported.length} levels (${replace ? 'replace' : 'merge'})`);
+  }
+
+  return { success: true, imported: imported.length, preview };
 }
 
-// Handle trade signal from content script
-async function handleTradeSignal(data) {
-  const { side, symbol, price, timestamp } = data;
-  console.log(`[TV-Alert] Trade signal: ${side} ${symbol} @ ${price}`);
+// Apply edits to a level (false if it no longer exists)
+function updateLevel(id, updates) {
+  const levelIndex = alertLevels.findIndex(l => l.id === id);
+  if (levelIndex === -1) return false;
 
-  // Show browser notification for trade
-  const icon = side === 'BUY' ? '🟢' : '🔴';
-  const title = side === 'BUY' ? 'BUY Order' : 'SELL Order';
+  const updated = { ...alertLevels[levelIndex], ...updates, updatedAt: Date.now() };
+  if (updated.type === 'zone' && updated.low > updated.high) {
+    [updated.low, updated.high] = [updated.high, updated.low];
+  }
+  alertLevels[levelIndex] = updated;
 
-  try {
-    await chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/icon128.png',
-      title: `${icon} ${title} - ${symbol}`,
-      message: `${side} @ ${price.toFixed(2)}\nTime: ${new Date(timestamp).toLocaleTimeString()}`,
-      priority: 2
-    });
-  } catch (e) {
-    console.error('[TV-Alert] Trade notification error:', e);
+  // An edited level starts fresh: re-armed, with no carried-over state
+  clearLevelState(id);
+  saveEngineState();
+  saveAlertLevels();
+  return true;
+}
+
+// Flip a level on or off; returns the new state (null if it no longer exists)
+function toggleLevel(id) {
+  const level = alertLevels.find(l => l.id === id);
+  if (!level) return null;
+
+  level.enabled = !level.enabled;
+  level.updatedAt = Date.now();
+  if (level.enabled && level.expiresAt && level.expiresAt <= Date.now()) {
+    level.expiresAt = null; // Turning an expired level back on keeps it on
+  }
+  if (level.enabled) {
+    clearLevelState(id);
+    saveEngineState();
   }
+  saveAlertLevels();
+  return level.enabled;
 }
 
-// Trigger an alert
-async function triggerAlert(level, symbol, price, direction) {
-  console.log(`[TV-Alert] ALERT! ${symbol} crossed ${level.price} (${direction})`);
+// TradingView colors come as #rrggbb or rgba(r, g, b, a); levels store #rrggbb
+function toHexColor(color) {
+  if (typeof color !== 'string') return null;
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+  const rgb = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+  return rgb ? '#' + rgb.slice(1, 4).map(n => Number(n).toString(16).padStart(2, '0')).join('') : null;
+}
 
-  // Show browser notification
-  const directionText = direction === 'above' ? 'crossed above' : 'crossed below';
-  const iconColor = direction === 'above' ? '📈' : '📉';
+// Create or update price levels from chart drawings (horizontal lines and rays).
+// Levels keep the drawing id, so moving or recoloring a line updates its alert
+function syncDrawings(drawings) {
+  const result = { created: 0, updated: 0, unchanged: 0, disabled: 0, skipped: 0 };
+
+  drawings.forEach(drawing => {
+    const price = Number(drawing.price);
+    const symbol = normalizeSymbol(drawing.symbol);
+    if (!drawing.id || !(price > 0) || !symbol) {
+      result.skipped++;
+      return;
+    }
+    const color = toHexColor(drawing.color);
+
+    // Drawing ids are only unique within a layout, so the link is id plus symbol
+    const existing = alertLevels.find(l => l.drawingId === drawing.id && l.symbol === symbol);
 
+    // A hidden line makes no alert; its linked level is switched off (turning it back on is up to the user)
+    if (drawing.visible === false) {
+      if (existing && existing.enabled) {
+        updateLevel(existing.id, { enabled: false });
+        result.disabled++;
+      } else {
+        result.skipped++;
+      }
+      return;
+    }
+
+    if (existing) {
+      const updates = {};
+      if (existing.price !== price) updates.price = price;
+      if (color && existing.color !== color) updates.color = color;
+      if (Object.keys(updates).length > 0) {
+        updateLevel(existing.id, updates);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+      return;
+    }
+
+    const built = buildLevel({ price, symbol, color: color || undefined, direction: 'both', drawingId: drawing.id });
+    if (built.error) {
+      result.skipped++;
+      return;
+    }
+    alertLevels.push(built.level);
+    result.created++;
+  });
+
+  if (result.created > 0) saveAlertLevels();
+  return result;
+}
+
+// Restore the chart tab registry after a worker restart
+async function restoreChartTabs() {
   try {
-    await chrome.notifications.create({
-      type: 'basic',
-      iconUrl: 'icons/icon128.png',
-      title: `${iconColor} Price Alert - ${symbol}`,
-      message: `Price ${directionText} ${level.price.toFixed(2)}!\nCurrent: ${price.toFixed(2)}`,
-      priority: 2,
-      requireInteraction: true
-    });
+    const result = await chrome.storage.session.get(['chartTabs']);
+    chartTabs = result.chartTabs || {};
   } catch (e) {
-    console.error('[TV-Alert] Notification error:', e);
+    console.error('[TV-Alert] Chart tab registry restore error:', e);
   }
+}
 
-  // Send message to content script for visual notification
-  const tabs = await chrome.tabs.query({ url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'] });
-  tabs.forEach(tab => {
-    chrome.tabs.sendMessage(tab.id, {
-      type: 'ALERT_TRIGGERED',
-      level,
-      symbol,
-      price,
-      direction
-    }).catch(() => {});
+function saveChartTabs() {
+  chartTabsSavedAt = Date.now();
+  chrome.storage.session.set({ chartTabs }).catch(e => {
+    console.error('[TV-Alert] Chart tab registry save error:', e);
   });
+}
+
+function isChartUrl(url) {
+  return /^https:\/\/(www\.)?tradingview\.com\/chart\//.test(url || '');
+}
+
+// Record a chart tab's latest PRICE_UPDATE/PING; ticks only hit storage every few seconds
+function registerChartTab(tab, info) {
+  if (!tab || tab.id === undefined) return;
+
+  const previous = chartTabs[tab.id];
+  const entry = {
+    tabId: tab.id,
+    windowId: tab.windowId,
+    title: tab.title || '',
+    symbol: normalizeSymbol(info.symbol) || (previous && previous.symbol) || '',
+    timeframe: info.timeframe || (previous && previous.timeframe) || '',
+    price: info.price || (previous && previous.price) || null,
+    source: info.source || (previous && previous.source) || '', // 'quote' (socket stream) or 'dom' (page scrape)
+    lastSeen: Date.now()
+  };
+  chartTabs[tab.id] = entry;
+
+  const changed = !previous || previous.symbol !== entry.symbol ||
+    previous.timeframe !== entry.timeframe || previous.source !== entry.source;
+  if (changed || entry.lastSeen - chartTabsSavedAt > CHART_TAB_SAVE_INTERVAL) {
+    saveChartTabs();
+  }
+}
+
+function unregisterChartTab(tabId) {
+  if (!chartTabs[tabId]) return;
+  delete chartTabs[tabId];
+  saveChartTabs();
+}
+
+// Registered chart tabs that are still open on a chart, most recently seen first
+async function getChartTabs() {
+  const now = Date.now();
+  const tabs = [];
+
+  for (const entry of Object.values(chartTabs)) {
+    try {
+      const tab = await chrome.tabs.get(entry.tabId);
+      if (!isChartUrl(tab.url)) {
+        unregisterChartTab(entry.tabId);
+        continue;
+      }
+      tabs.push({
+        ...entry,
+        title: tab.title || entry.title,
+        windowId: tab.windowId,
+        active: tab.active,
+        stale: now - entry.lastSeen > CHART_TAB_STALE
+      });
+    } catch (e) {
+      unregisterChartTab(entry.tabId); // Tab was closed
+    }
+  }
+
+  return tabs.sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  engineReady.then(() => unregisterChartTab(tabId));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url && !isChartUrl(changeInfo.url)) {
+    engineReady.then(() => unregisterChartTab(tabId));
+  }
+});
 
-  // Play sound if enabled
-  if (level.sound) {
-    // Note: Sound playback in service workers is limited
-    // Would need to use offscreen document or content script
+// Focus a chart tab showing the symbol, or open a new chart for it
+async function openChartForSymbol(symbol) {
+  await engineReady;
+  const tab = (await getChartTabs()).find(t => t.symbol === symbol);
+  if (tab) {
+    await chrome.tabs.update(tab.tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+    return;
   }
+
+  await chrome.tabs.create({ url: `https://www.tradingview.com/chart/?symbol=${encodeURIComponent(symbol)}` });
 }
 
+// Notification body click: open the chart for the alert or trade symbol
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const [kind, first, second] = notificationId.split('|');
+  const symbol = kind === 'tv-alert' || kind === 'tv-critical' ? second
+    : kind === 'tv-trade' || kind === 'tv-pattern' ? first : null;
+  if (!symbol || symbol === 'ALL') return;
+
+  chrome.notifications.clear(notificationId);
+  openChartForSymbol(symbol).catch(e => console.error('[TV-Alert] Open chart error:', e));
+});
+
+// Notification buttons: 0 = snooze (acknowledge for critical alerts), 1 = disable
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const [kind, levelId, , entryId] = notificationId.split('|');
+  if (kind !== 'tv-alert' && kind !== 'tv-critical') return;
+
+  chrome.notifications.clear(notificationId);
+  engineReady.then(() => {
+    if (kind === 'tv-critical') {
+      // Either button stops the escalation
+      const entry = alertHistory.find(h => h.id === entryId);
+      if (entry) acknowledgeAlerts([entry]);
+    }
+
+    const level = alertLevels.find(l => l.id === levelId);
+    if (!level) return;
+
+    if (buttonIndex === 0 && kind === 'tv-alert') {
+      updateLevel(levelId, { snoozedUntil: Date.now() + SNOOZE_MINUTES * 60000 });
+      console.log(`[TV-Alert] Snoozed level ${levelId} for ${SNOOZE_MINUTES}m`);
+    } else if (buttonIndex === 1 && level.enabled) {
+      toggleLevel(levelId);
+      console.log(`[TV-Alert] Disabled level ${levelId}`);
+    }
+  });
+});
+
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Wait for stored levels and engine state after a worker restart
+  engineReady.then(() => handleMessage(message, sender, sendResponse));
+  return true; // Keep message channel open for async response
+});
+
+function handleMessage(message, sender, sendResponse) {
   switch (message.type) {
     case 'PRICE_UPDATE':
-      const { price, symbol } = message.data;
+      const { price, symbol, atr } = message.data;
+      registerChartTab(sender.tab, message.data);
       if (price && symbol) {
-        checkPriceCrossings(symbol, price);
+        runEngineTask(() => processPriceUpdate(symbol, price, atr))
+          .then(() => sendResponse({ received: true, moveReferences: getMoveBandReferences(symbol) }));
+      } else {
+        sendResponse({ received: true });
       }
-      sendResponse({ received: true });
+      break;
+
+    case 'PING':
+      // Heartbeat from a chart tab, so quiet markets still count as connected
+      registerChartTab(sender.tab, message.data || {});
+      sendResponse({ pong: true });
+      break;
+
+    case 'GET_CHART_TABS':
+      getChartTabs().then(tabs => sendResponse({ tabs }));
+      break;
+
+    case 'OPTION_QUOTES':
+      const chain = message.data || {};
+      runEngineTask(() => processOptionQuotes(chain.symbol, chain.quotes || []))
+        .then(() => sendResponse({ received: true }));
+      break;
+
+    case 'VOLUME_UPDATE':
+      const bar = message.data || {};
+      runEngineTask(() => processVolumeUpdate(bar.symbol, bar.timeframe, bar.bar, bar.previous || []))
+        .then(() => sendResponse({ received: true }));
+      break;
+
+    case 'CANDLE_CLOSED':
+      const closed = message.data || {};
+      runEngineTask(() => processCandleClose(closed.symbol, closed.timeframe, closed.candle))
+        .then(() => sendResponse({ received: true }));
       break;
 
     case 'GET_LEVELS':
-      sendResponse({ levels: alertLevels });
+      sendResponse({ levels: alertLevels, disarmed: getDisarmedLevelIds() });
       break;
 
     case 'ADD_LEVEL':
-      const newLevel = {
-        id: generateId(),
-        price: message.price,
-        symbol: message.symbol || 'ALL',
-        direction: message.direction || 'both',
-        color: message.color || '#ff9800',
-        enabled: true,
-        repeating: message.repeating || false,
-        sound: message.sound || true,
-        createdAt: Date.now()
-      };
-      alertLevels.push(newLevel);
+      const built = buildLevel(message);
+      if (built.error) {
+        sendResponse({ success: false, error: built.error });
+        break;
+      }
+      alertLevels.push(built.level);
+      saveAlertLevels();
+      sendResponse({ success: true, level: built.level });
+      break;
+
+    case 'ADD_LEVELS':
+      // Several levels in one storage write (templates); all or none are added
+      const builtLevels = (message.levels || []).map(buildLevel);
+      const invalid = builtLevels.find(b => b.error);
+      if (invalid) {
+        sendResponse({ success: false, error: invalid.error });
+        break;
+      }
+      alertLevels.push(...builtLevels.map(b => b.level));
       saveAlertLevels();
-      sendResponse({ success: true, level: newLevel });
+      sendResponse({ success: true, levels: builtLevels.map(b => b.level) });
+      break;
+
+    case 'SYNC_DRAWINGS':
+      sendResponse({ success: true, ...syncDrawings(message.drawings || []) });
+      break;
+
+    case 'IMPORT_LEVELS':
+      sendResponse(importLevels(message.levels || [], message.mode, message.dryRun));
       break;
 
     case 'UPDATE_LEVEL':
-      const levelIndex = alertLevels.findIndex(l => l.id === message.id);
-      if (levelIndex !== -1) {
-        alertLevels[levelIndex] = { ...alertLevels[levelIndex], ...message.updates };
-        saveAlertLevels();
+      if (updateLevel(message.id, message.updates)) {
         sendResponse({ success: true });
       } else {
         sendResponse({ success: false, error: 'Level not found' });
@@ -215,18 +2193,18 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     case 'DELETE_LEVEL':
       alertLevels = alertLevels.filter(l => l.id !== message.id);
-      triggeredAlerts.delete(message.id + '-above');
-      triggeredAlerts.delete(message.id + '-below');
+      clearLevelState(message.id);
       saveAlertLevels();
+      saveEngineState();
       sendResponse({ success: true });
       break;
 
     case 'TOGGLE_LEVEL':
-      const toggleIndex = alertLevels.findIndex(l => l.id === message.id);
-      if (toggleIndex !== -1) {
-        alertLevels[toggleIndex].enabled = !alertLevels[toggleIndex].enabled;
-        saveAlertLevels();
-        sendResponse({ success: true, enabled: alertLevels[toggleIndex].enabled });
+      const enabled = toggleLevel(message.id);
+      if (enabled !== null) {
+        sendResponse({ success: true, enabled });
+      } else {
+        sendResponse({ success: false, error: 'Level not found' });
       }
       break;
 
@@ -234,7 +2212,16 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       alertLevels = [];
       triggeredAlerts.clear();
       lastPrices = {};
+      priceHistory = {};
+      moveReferences = {};
+      moveState = {};
+      zoneState = {};
+      lastCloses = {};
+      disarmedAt = {};
+      optionState = {};
+      volumeState = {};
       saveAlertLevels();
+      saveEngineState();
       sendResponse({ success: true });
       break;
 
@@ -254,19 +2241,146 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ success: true });
       break;
 
+    case 'PATTERN_DETECTED':
+      handlePatternDetected(message.pattern);
+      sendResponse({ received: true });
+      break;
+
+    case 'PATTERN_CANDIDATES':
+      // Unfiltered detections from a chart tab; rules apply their own confidence
+      (message.patterns || []).forEach(pattern => {
+        runEngineTask(() => checkPatternRules(pattern, normalizeSymbol(pattern.symbol)));
+      });
+      sendResponse({ received: true });
+      break;
+
+    case 'GET_PATTERN_RULES':
+      sendResponse({ rules: patternRules });
+      break;
+
+    case 'SAVE_PATTERN_RULE':
+      const existingRule = patternRules.find(r => r.id === message.rule.id);
+      const builtRule = buildPatternRule(message.rule, existingRule);
+      if (builtRule.error) {
+        sendResponse({ success: false, error: builtRule.error });
+        break;
+      }
+      patternRules = existingRule
+        ? patternRules.map(r => (r.id === existingRule.id ? builtRule.rule : r))
+        : [...patternRules, builtRule.rule];
+      savePatternRules();
+      sendResponse({ success: true, rule: builtRule.rule });
+      break;
+
+    case 'TOGGLE_PATTERN_RULE':
+      const toggledRule = patternRules.find(r => r.id === message.id);
+      if (toggledRule) {
+        toggledRule.enabled = !toggledRule.enabled;
+        savePatternRules();
+        sendResponse({ success: true, enabled: toggledRule.enabled });
+      } else {
+        sendResponse({ success: false, error: 'Rule not found' });
+      }
+      break;
+
+    case 'DELETE_PATTERN_RULE':
+      patternRules = patternRules.filter(r => r.id !== message.id);
+      savePatternRules();
+      sendResponse({ success: true });
+      break;
+
+    case 'TEST_WEBHOOK':
+      sendWebhookEvent('test', {
+        symbol: 'TEST',
+        price: 100,
+        direction: 'above',
+        message: 'Test webhook from TradingView Alerts',
+        time: new Date().toISOString()
+      }).then(() => sendResponse({ success: true }));
+      break;
+
+    case 'PREVIEW_SOUND':
+      playLevelSound({ sound: message.sound, volume: message.volume });
+      sendResponse({ success: true });
+      break;
+
+    case 'GET_WEBHOOK_DEFAULTS':
+      sendResponse({ template: DEFAULT_WEBHOOK_TEMPLATE });
+      break;
+
+    case 'GET_WEBHOOK_LOG':
+      chrome.storage.local.get(['webhookLog'], (result) => {
+        sendResponse({ log: result.webhookLog || [] });
+      });
+      return true;
+
+    case 'CLEAR_WEBHOOK_LOG':
+      chrome.storage.local.set({ webhookLog: [] });
+      sendResponse({ success: true });
+      break;
+
+    case 'GET_ALERT_HISTORY':
+      sendResponse({ history: alertHistory });
+      break;
+
+    case 'ACKNOWLEDGE_ALERT':
+      const entry = alertHistory.find(h => h.id === message.id);
+      if (entry) {
+        acknowledgeAlerts([entry]);
+        sendResponse({ success: true });
+      } else {
+        sendResponse({ success: false, error: 'History entry not found' });
+      }
+      break;
+
+    case 'ACKNOWLEDGE_ALL':
+      acknowledgeAlerts(alertHistory.filter(h => !h.acknowledged));
+      sendResponse({ success: true });
+      break;
+
+    case 'SYNC_NOW':
+      runSyncTask(syncNow).then(async () => {
+        const { syncStatus } = await chrome.storage.local.get(['syncStatus']);
+        sendResponse({ success: !syncStatus || syncStatus.state !== 'error', status: syncStatus || null });
+      });
+      break;
+
+    case 'CLEAR_ALERT_HISTORY':
+      // Stop escalations for anything being cleared unacknowledged
+      acknowledgeAlerts(alertHistory.filter(h => !h.acknowledged));
+      alertHistory = [];
+      saveAlertHistory();
+      sendResponse({ success: true });
+      break;
+
     default:
       sendResponse({ error: 'Unknown message type' });
   }
-
-  return true; // Keep message channel open for async response
-});
+}
 
 // Listen for storage changes (sync across windows)
 chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && changes.alertLevels) {
     alertLevels = changes.alertLevels.newValue || [];
   }
+  // Push local edits and pull other devices' writes
+  if ((namespace === 'local' && (changes.alertLevels || changes.levelTemplates)) ||
+      (namespace === 'sync' && changes.sync_meta)) {
+    scheduleSync();
+  }
+  if (namespace === 'local' && changes.scheduleSettings) {
+    loadScheduleSettings().then(scheduleLevelAlarms);
+  }
+  if (namespace === 'local' && changes.syncSettings) {
+    const enabled = changes.syncSettings.newValue && changes.syncSettings.newValue.enabled;
+    if (enabled) {
+      // Periodic pass in case a debounced sync died with the worker
+      chrome.alarms.create('alert-sync', { periodInMinutes: 15 });
+      runSyncTask(syncNow);
+    } else {
+      chrome.alarms.clear('alert-sync');
+      setSyncStatus({ state: 'off' });
+    }
+  }
 });
 
-// Initial load
-loadAlertLevels();
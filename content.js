@@ -10,6 +10,11 @@
   let alertLevels = [];
   let priceLineElements = [];
   let pollInterval = null;
+  let quoteStore = {}; // Latest socket quote per streamed symbol { last, bid, ask, volume, change, changePercent, time }
+  const MAX_QUOTE_SYMBOLS = 200;
+  let priceSource = ''; // 'quote' while the socket quote stream drives the price, 'dom' when scraping
+  let socketActiveAt = 0; // Last inbound TradingView socket traffic, heartbeats included
+  const SOCKET_IDLE_MS = 45000; // Heartbeats arrive well inside this, so silence means the stream is down
   let chartInfo = { minPrice: 0, maxPrice: 0, chartTop: 0, chartHeight: 0, chartLeft: 0, chartWidth: 0 };
   let optionsData = null;
   let optionsPanel = null;
@@ -17,14 +22,25 @@
   let optionsVisible = true;
   let apiSettings = { apiUrl: '', apiKey: '', apiHeader: 'X-API-Key' };
   let optionsDataSource = null; // 'api', 'yahoo', or 'mock'
+  const OPTIONS_ALERT_REFRESH = 30000; // Chain refresh while option alerts watch it
   let orderWindowCounter = 0; // For unique order window IDs
+  let moveReferences = {}; // Reference price per move level, reported by background
 
   // Candle pattern detection state
   let candleStore = {}; // { "AAPL:60": [candles], "AAPL:D": [candles] }
   const MAX_CANDLES = 100;
   let patternDetector = null;
+  let ruleDetector = null; // Every pattern at any confidence, for background alert rules
+  let lastRuleCandidates = {}; // Last detections sent per candle store, to skip repeats
   let lastPatternCheck = 0;
   let detectedPatterns = [];
+  let lastCandleKey = ''; // Store key of the most recently updated series
+  let visibleRange = null; // { from, to } ms on the active chart's time axis, from the page's chart API
+  let chartDrawings = {}; // Horizontal lines/rays from the layout, by TradingView drawing id
+  let studyStore = {}; // { "AAPL:60": { "cs_x:st1": { studyId, name, key, points: [{ timestamp, values }] } } }
+  let lastVolumeReport = {}; // When each series last sent its volume to background
+  const VOLUME_REPORT_INTERVAL = 1000;
+  const VOLUME_HISTORY_BARS = 50;
   let patternSettings = {
     enabled: true,
     minConfidence: 70,
@@ -54,6 +70,7 @@
         minConfidence: patternSettings.minConfidence,
         enabledPatterns: patternSettings.enabledPatterns
       });
+      ruleDetector = new PatternDetector({ minConfidence: 0 });
       console.log('[TV-Alert] Pattern detector initialized');
     }
 
@@ -64,9 +81,11 @@
     waitForChart().then(() => {
       console.log('[TV-Alert] Chart detected, starting price monitoring');
       startPriceMonitoring();
+      startRegistryHeartbeat();
       loadAlertLevels();
       setupMessageListener();
       createToastContainer();
+      restoreCriticalBanners();
       createTradingButtons();
       createOptionsPanel();
     });
@@ -93,6 +112,26 @@
         console.log('[TV-Alert] Received candle data:', msg.data?.candles?.length, 'candles for', msg.data?.symbol);
         handleCandleData(msg.data);
       }
+      if (msg && msg.type === 'TV_VISIBLE_RANGE' && msg.source === 'tv-interceptor' && msg.data) {
+        visibleRange = msg.data;
+        updateAllLinePositions();
+      }
+      if (msg && msg.type === 'TV_DRAWINGS' && msg.source === 'tv-interceptor' && msg.data) {
+        handleDrawings(msg.data);
+      }
+      if (msg && msg.type === 'TV_STUDY_DATA' && msg.source === 'tv-interceptor') {
+        handleStudyData(msg.data);
+      }
+      if (msg && msg.type === 'TV_QUOTE' && msg.source === 'tv-interceptor' && msg.data) {
+        storeQuote(msg.data);
+      }
+      if (msg && msg.type === 'TV_QUOTE_REMOVED' && msg.source === 'tv-interceptor' && msg.data) {
+        // Unsubscribed symbols stop updating, so their last quote must not pass for live
+        (msg.data.symbols || []).forEach(s => { delete quoteStore[normalizeSymbol(s)]; });
+      }
+      if (msg && msg.type === 'TV_SOCKET_ACTIVITY' && msg.source === 'tv-interceptor' && msg.data) {
+        socketActiveAt = msg.data.open ? Date.now() : 0;
+      }
     });
     console.log('[TV-Alert] Candle intercept listener ready');
   }
@@ -112,6 +151,7 @@
     }
 
     console.log('[TV-Alert] Processing candles for key:', key, 'count:', candles.length);
+    lastCandleKey = key;
 
     // Initialize store for this symbol/timeframe if needed
     if (!candleStore[key]) {
@@ -120,22 +160,27 @@
 
     if (isRealtime) {
       // Real-time update: update or append the last candle
-      const lastCandle = candles[0];
+      // An update can carry the final tick of the previous bar plus the new one
       const store = candleStore[key];
 
-      if (store.length > 0) {
-        const existing = store[store.length - 1];
-        if (existing.timestamp === lastCandle.timestamp) {
-          // Update existing candle
-          store[store.length - 1] = lastCandle;
+      candles.forEach(lastCandle => {
+        if (store.length > 0) {
+          const existing = store[store.length - 1];
+          if (existing.timestamp === lastCandle.timestamp) {
+            // Update existing candle
+            store[store.length - 1] = lastCandle;
+          } else if (lastCandle.timestamp > existing.timestamp) {
+            // New candle - the previous bar is now final
+            reportCandleClose(symbol, timeframe, existing);
+            reportVolume(symbol, timeframe, store, true);
+            store.push(lastCandle);
+            if (store.length > MAX_CANDLES) store.shift();
+          }
         } else {
-          // New candle
           store.push(lastCandle);
-          if (store.length > MAX_CANDLES) store.shift();
         }
-      } else {
-        store.push(lastCandle);
-      }
+      });
+      reportVolume(symbol, timeframe, store);
     } else {
       // Historical data: replace or merge
       const store = candleStore[key];
@@ -156,12 +201,93 @@
     runPatternDetection(key);
   }
 
-  // Run pattern detection with debouncing
-  function runPatternDetection(storeKey) {
-    if (!patternSettings.enabled) {
-      console.log('[TV-Alert] Pattern detection disabled');
+  // Keep the latest state of each captured drawing; lines without a symbol belong to this chart
+  function handleDrawings(data) {
+    (data.drawings || []).forEach(drawing => {
+      chartDrawings[drawing.id] = { ...drawing, symbol: drawing.symbol || currentSymbol };
+    });
+    (data.removed || []).forEach(id => delete chartDrawings[id]);
+    console.log('[TV-Alert] Chart drawings:', Object.keys(chartDrawings).length);
+  }
+
+  // Store indicator values from the chart, merged by bar time like candles
+  function handleStudyData(data) {
+    if (data && data.removed) {
+      const id = `${data.session}:${data.studyId}`;
+      Object.values(studyStore).forEach(studies => { delete studies[id]; });
       return;
     }
+    if (!data || !data.points || data.points.length === 0) return;
+
+    const symbol = data.symbol || currentSymbol || 'UNKNOWN';
+    const key = `${symbol}:${data.timeframe}`;
+    const studies = studyStore[key] || (studyStore[key] = {});
+    const id = `${data.session}:${data.studyId}`;
+    const study = studies[id] || (studies[id] = { studyId: data.studyId, name: data.name, key: data.key, points: [] });
+    study.name = data.name;
+    study.key = data.key;
+
+    data.points.forEach(point => {
+      const last = study.points[study.points.length - 1];
+      if (!last || point.timestamp > last.timestamp) {
+        study.points.push(point);
+      } else {
+        const idx = study.points.findIndex(p => p.timestamp === point.timestamp);
+        if (idx >= 0) {
+          study.points[idx] = point;
+        } else {
+          study.points.push(point);
+          study.points.sort((a, b) => a.timestamp - b.timestamp);
+        }
+      }
+    });
+    while (study.points.length > MAX_CANDLES) study.points.shift();
+  }
+
+  // Tell background a bar has closed so close-confirmed alerts can evaluate it
+  function reportCandleClose(symbol, timeframe, candle) {
+    chrome.runtime.sendMessage({
+      type: 'CANDLE_CLOSED',
+      data: {
+        symbol,
+        timeframe,
+        candle: {
+          timestamp: candle.timestamp,
+          open: candle.open,
+          high: candle.high,
+          low: candle.low,
+          close: candle.close,
+          volume: candle.volume
+        }
+      }
+    }).catch(() => {});
+  }
+
+  // Send the latest bar's volume with the bars before it so background can check
+  // volume alerts. A closing bar is always sent so its final volume counts
+  function reportVolume(symbol, timeframe, store, force = false) {
+    if (store.length < 2) return;
+    if (!alertLevels.some(l => l.type === 'volume' && l.enabled && levelMatchesSymbol(l, symbol))) return;
+
+    const key = `${symbol}:${timeframe}`;
+    const now = Date.now();
+    if (!force && now - (lastVolumeReport[key] || 0) < VOLUME_REPORT_INTERVAL) return;
+    lastVolumeReport[key] = now;
+
+    const bar = store[store.length - 1];
+    chrome.runtime.sendMessage({
+      type: 'VOLUME_UPDATE',
+      data: {
+        symbol,
+        timeframe,
+        bar: { timestamp: bar.timestamp, volume: bar.volume || 0, close: bar.close },
+        previous: store.slice(-VOLUME_HISTORY_BARS - 1, -1).map(c => c.volume || 0)
+      }
+    }).catch(() => {});
+  }
+
+  // Run pattern detection with debouncing
+  function runPatternDetection(storeKey) {
     if (!patternDetector) {
       console.log('[TV-Alert] Pattern detector not initialized');
       return;
@@ -177,6 +303,14 @@
       return;
     }
 
+    // Alert rules have their own confidence and run even with on-chart detection off
+    reportPatternCandidates(storeKey, candles);
+
+    if (!patternSettings.enabled) {
+      console.log('[TV-Alert] Pattern detection disabled');
+      return;
+    }
+
     console.log('[TV-Alert] Running pattern detection on', candles.length, 'candles for', storeKey);
     const patterns = patternDetector.detect(candles);
     console.log('[TV-Alert] Detected', patterns.length, 'patterns');
@@ -209,6 +343,19 @@
     });
   }
 
+  // Send every detection on the latest bar to background for pattern rules,
+  // before the display settings filter them; unchanged results are not resent
+  function reportPatternCandidates(storeKey, candles) {
+    if (!ruleDetector) return;
+
+    const patterns = ruleDetector.detect(candles);
+    const signature = patterns.map(p => `${p.name}:${p.timestamp}:${p.confidence}`).join('|');
+    if (!signature || signature === lastRuleCandidates[storeKey]) return;
+    lastRuleCandidates[storeKey] = signature;
+
+    chrome.runtime.sendMessage({ type: 'PATTERN_CANDIDATES', patterns }).catch(() => {});
+  }
+
   // Show toast for detected pattern
   function showPatternToast(pattern) {
     const icon = pattern.direction === 'bullish' ? '📈' : (pattern.direction === 'bearish' ? '📉' : '⚖️');
@@ -437,6 +584,25 @@
         fetchOptionsData(currentSymbol);
       }
     }, 3000);
+
+    // Keep quotes flowing to option alerts between symbol changes
+    setInterval(refreshOptionsForAlerts, OPTIONS_ALERT_REFRESH);
+  }
+
+  // Re-fetch the shown chain while an enabled option level watches its symbol
+  function refreshOptionsForAlerts() {
+    if (!lastOptionsSymbol || optionsDataSource === 'mock') return;
+
+    const symbol = normalizeSymbol(lastOptionsSymbol);
+    const watched = alertLevels.some(l => l.type === 'option' && l.enabled && l.symbol === symbol);
+    if (!watched) return;
+
+    if (optionsDataSource === 'api') {
+      fetchOptionsData(lastOptionsSymbol, true);
+    } else {
+      fetchOptionsForExpiry(1);
+      if (dualColumnMode) fetchOptionsForExpiry(2);
+    }
   }
 
   function updateColumnHeaders() {
@@ -503,9 +669,9 @@
     document.onmouseup = () => isDragging = false;
   }
 
-  async function fetchOptionsData(symbol) {
+  async function fetchOptionsData(symbol, force = false) {
     const cleanSymbol = symbol.replace(/^[A-Z]+:/, '').toUpperCase();
-    if (cleanSymbol === lastOptionsSymbol) return;
+    if (cleanSymbol === lastOptionsSymbol && !force) return;
     lastOptionsSymbol = cleanSymbol;
 
     const loading = document.getElementById('options-loading');
@@ -852,32 +1018,47 @@
       });
     });
 
+    // Resolve a cell to its contract, strike and expiration
+    const getCellOption = (cell) => {
+      const row = cell.closest('.opt-row');
+      const strike = +row.dataset.strike;
+      const isCall = cell.dataset.type === 'call';
+      const col = cell.dataset.col;
+
+      // Get option from correct column
+      let opt;
+      if (col === '2' && dualColumnMode) {
+        opt = isCall ? callMap2[strike] : putMap2[strike];
+      } else {
+        opt = isCall ? callMap1[strike] : putMap1[strike];
+      }
+      const expDate = col === '2' ? optionsDataCol2?.expirationDate : data1.expirationDate;
+      return { opt, isCall, strike, expDate };
+    };
+
     // Click handlers
     list.querySelectorAll('.opt-cell').forEach(el => {
       el.onclick = (e) => {
-        const row = e.target.closest('.opt-row');
-        const strike = +row.dataset.strike;
-        const isCall = e.target.dataset.type === 'call';
-        const col = e.target.dataset.col;
-
-        // Get option from correct column
-        let opt;
-        if (col === '2' && dualColumnMode) {
-          opt = isCall ? callMap2[strike] : putMap2[strike];
-        } else {
-          opt = isCall ? callMap1[strike] : putMap1[strike];
-        }
-
+        const { opt, isCall, strike, expDate } = getCellOption(e.target);
         if (opt) {
           // Pass expiration date for the order window
-          const expDate = col === '2' ? optionsDataCol2?.expirationDate : data1.expirationDate;
           createOrderWindow(opt, isCall, strike, expDate);
         }
       };
+      // Right-click sets an alert on this contract's quote
+      el.oncontextmenu = (e) => {
+        e.preventDefault();
+        const { opt, isCall, strike, expDate } = getCellOption(e.target);
+        if (opt && expDate) {
+          showOptionAlertPopover(e.clientX, e.clientY, opt, isCall, strike, expDate);
+        }
+      };
       el.addEventListener('mouseenter', () => { el.style.transform = 'scale(1.03)'; });
       el.addEventListener('mouseleave', () => { el.style.transform = 'scale(1)'; });
     });
 
+    reportOptionQuotes([data1, dualColumnMode ? optionsDataCol2 : null]);
+
     // Scroll to ATM
     setTimeout(() => {
       const rows = list.querySelectorAll('.opt-row');
@@ -890,6 +1071,141 @@
     }, 100);
   }
 
+  // Send quotes for contracts that have option alerts so background can evaluate them
+  function reportOptionQuotes(chains) {
+    if (optionsDataSource === 'mock') return; // Simulated prices must not fire alerts
+
+    const watched = alertLevels.filter(l => l.type === 'option' && l.enabled);
+    if (watched.length === 0) return;
+
+    const quotes = [];
+    chains.forEach(chain => {
+      if (!chain || !chain.expirationDate) return;
+      const underlying = normalizeSymbol(chain.symbol);
+      const expiration = Number(chain.expirationDate);
+
+      [['call', chain.calls], ['put', chain.puts]].forEach(([optionType, contracts]) => {
+        contracts.forEach(c => {
+          const isWatched = watched.some(l =>
+            l.symbol === underlying && l.optionType === optionType &&
+            l.strike === c.strike && l.expiration === expiration
+          );
+          if (isWatched) {
+            quotes.push({ optionType, strike: c.strike, expiration, bid: c.bid || 0, ask: c.ask || 0, last: c.lastPrice || 0 });
+          }
+        });
+      });
+    });
+    if (quotes.length === 0) return;
+
+    chrome.runtime.sendMessage({
+      type: 'OPTION_QUOTES',
+      data: { symbol: normalizeSymbol(chains[0].symbol), quotes }
+    }).catch(() => {});
+  }
+
+  // Small popover for creating an alert on one option contract's quote
+  function showOptionAlertPopover(x, y, optionData, isCall, strike, expirationDate) {
+    document.getElementById('tv-option-alert-popover')?.remove();
+
+    const symbol = normalizeSymbol(optionsData?.symbol || currentSymbol);
+    const bid = optionData.bid || 0;
+    const ask = optionData.ask || 0;
+    const quotes = {
+      bid,
+      ask,
+      mid: bid > 0 && ask > 0 ? (bid + ask) / 2 : optionData.lastPrice || 0,
+      last: optionData.lastPrice || 0
+    };
+    const expLabel = new Date(expirationDate * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    const contract = `${symbol} ${strike}${isCall ? 'C' : 'P'} ${expLabel}`;
+    const inputStyle = `
+      background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 4px; color: #d1d4dc; font-size: 11px; padding: 4px 6px;
+    `;
+
+    const pop = document.createElement('div');
+    pop.id = 'tv-option-alert-popover';
+    pop.style.cssText = `
+      position: fixed;
+      top: ${Math.min(y, window.innerHeight - 130)}px;
+      left: ${Math.min(x, window.innerWidth - 230)}px;
+      width: 220px;
+      padding: 8px;
+      background: linear-gradient(145deg, #1e222d, #252932);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 6px;
+      box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+      z-index: 10002;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 11px;
+      color: #d1d4dc;
+    `;
+    pop.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 6px; color: ${isCall ? '#26a69a' : '#ef5350'};">Alert: ${contract}</div>
+      <div style="display: flex; gap: 4px; margin-bottom: 6px;">
+        <select class="opt-alert-field" style="${inputStyle} flex: 1;">
+          ${Object.keys(quotes).map(f => `<option value="${f}" ${f === 'mid' ? 'selected' : ''}>${f} ${fmtOpt(quotes[f])}</option>`).join('')}
+        </select>
+        <select class="opt-alert-direction" style="${inputStyle}">
+          <option value="above">≥</option>
+          <option value="below">≤</option>
+        </select>
+        <input class="opt-alert-value" type="number" step="0.01" min="0" value="${quotes.mid ? quotes.mid.toFixed(2) : ''}" style="${inputStyle} width: 56px;">
+      </div>
+      <div style="display: flex; gap: 4px;">
+        <button class="opt-alert-create" style="flex: 1; padding: 4px; border: none; border-radius: 4px; background: #2962ff; color: #fff; font-size: 11px; cursor: pointer;">Create</button>
+        <button class="opt-alert-cancel" style="flex: 1; padding: 4px; border: none; border-radius: 4px; background: rgba(255,255,255,0.1); color: #d1d4dc; font-size: 11px; cursor: pointer;">Cancel</button>
+      </div>
+    `;
+    document.body.appendChild(pop);
+
+    const fieldSelect = pop.querySelector('.opt-alert-field');
+    const valueInput = pop.querySelector('.opt-alert-value');
+
+    const close = () => {
+      pop.remove();
+      document.removeEventListener('mousedown', onOutside, true);
+    };
+    const onOutside = (e) => {
+      if (!pop.contains(e.target)) close();
+    };
+    document.addEventListener('mousedown', onOutside, true);
+
+    fieldSelect.onchange = () => {
+      const value = quotes[fieldSelect.value];
+      valueInput.value = value ? value.toFixed(2) : '';
+    };
+    pop.querySelector('.opt-alert-cancel').onclick = close;
+    pop.querySelector('.opt-alert-create').onclick = () => {
+      const threshold = parseFloat(valueInput.value);
+      if (!(threshold > 0)) {
+        valueInput.style.borderColor = '#ef5350';
+        return;
+      }
+      const direction = pop.querySelector('.opt-alert-direction').value;
+
+      chrome.runtime.sendMessage({
+        type: 'ADD_LEVEL',
+        levelType: 'option',
+        symbol,
+        optionType: isCall ? 'call' : 'put',
+        strike,
+        expiration: Number(expirationDate),
+        field: fieldSelect.value,
+        direction,
+        price: threshold,
+        color: isCall ? '#26a69a' : '#ef5350'
+      }).then(response => {
+        if (response && response.success) {
+          showToast(`Alert set: ${contract} ${fieldSelect.value} ${direction === 'below' ? '≤' : '≥'} ${threshold.toFixed(2)}`, 'alert', 3000);
+        }
+      }).catch(() => {});
+      close();
+    };
+    valueInput.focus();
+  }
+
   function fmtOpt(p) {
     if (!p || p === 0) return '-';
     return p >= 10 ? p.toFixed(1) : p.toFixed(2);
@@ -1514,43 +1830,45 @@
     }, duration);
   }
 
-  // Play alert sound
-  function playAlertSound() {
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-
-      // Create a beep sound
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
+  // Re-show banners for critical alerts still unacknowledged when the chart reloads
+  function restoreCriticalBanners() {
+    chrome.runtime.sendMessage({ type: 'GET_ALERT_HISTORY' }).then(response => {
+      (response && response.history || [])
+        .filter(h => h.critical && !h.acknowledged)
+        .forEach(h => showCriticalBanner(h.id, h.title, h.message, h.escalations));
+    }).catch(() => {});
+  }
 
-      oscillator.frequency.value = 800;
-      oscillator.type = 'sine';
+  // Flashing toast for a critical alert; stays until acknowledged here or elsewhere
+  function showCriticalBanner(alertId, title, message, escalations) {
+    const container = document.getElementById('tv-alert-toast-container');
+    if (!container) return;
 
-      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+    let banner = container.querySelector(`.tv-alert-toast.critical[data-alert-id="${alertId}"]`);
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.className = 'tv-alert-toast critical';
+      banner.dataset.alertId = alertId;
+      container.prepend(banner);
+    }
 
-      oscillator.start(audioContext.currentTime);
-      oscillator.stop(audioContext.currentTime + 0.5);
+    const reminder = escalations > 0 ? ` • reminder ${escalations}` : '';
+    banner.innerHTML = `
+      <div style="display: flex; align-items: center; gap: 12px;">
+        <span style="font-size: 24px;">🚨</span>
+        <div style="flex: 1;">
+          <div style="font-weight: 600; margin-bottom: 4px;">CRITICAL${reminder}</div>
+          <div style="opacity: 0.9;">${escapeHtml(title)}<br>${escapeHtml(message).replace(/\n/g, '<br>')}</div>
+        </div>
+        <button class="tv-critical-ack">Acknowledge</button>
+      </div>
+    `;
 
-      // Second beep
-      setTimeout(() => {
-        const osc2 = audioContext.createOscillator();
-        const gain2 = audioContext.createGain();
-        osc2.connect(gain2);
-        gain2.connect(audioContext.destination);
-        osc2.frequency.value = 1000;
-        osc2.type = 'sine';
-        gain2.gain.setValueAtTime(0.3, audioContext.currentTime);
-        gain2.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
-        osc2.start(audioContext.currentTime);
-        osc2.stop(audioContext.currentTime + 0.5);
-      }, 200);
-    } catch (e) {
-      console.log('[TV-Alert] Could not play sound:', e);
-    }
+    banner.querySelector('.tv-critical-ack').onclick = (e) => {
+      e.stopPropagation();
+      banner.remove();
+      chrome.runtime.sendMessage({ type: 'ACKNOWLEDGE_ALERT', id: alertId }).catch(() => {});
+    };
   }
 
   // Wait for the TradingView chart to be ready
@@ -1749,22 +2067,40 @@
     if (pollInterval) clearInterval(pollInterval);
 
     pollInterval = setInterval(() => {
-      const newPrice = getCurrentPrice();
+      // The socket quote for the chart's symbol is primary; scrape the page without one
       const symbol = getCurrentSymbol();
+      const quote = getLiveQuote(symbol);
+      const newPrice = quote ? quote.last : getCurrentPrice();
+      priceSource = quote ? 'quote' : (newPrice ? 'dom' : '');
 
       if (newPrice && newPrice !== currentPrice) {
+        const symbolChanged = normalizeSymbol(symbol) !== normalizeSymbol(currentSymbol);
         previousPrice = currentPrice;
         currentPrice = newPrice;
         currentSymbol = symbol;
 
+        // Redraw so only this symbol's levels are shown
+        if (symbolChanged) {
+          drawAlertLines();
+        }
+
         // Send price update to background script
         chrome.runtime.sendMessage({
           type: 'PRICE_UPDATE',
           data: {
             price: currentPrice,
             symbol: currentSymbol,
+            timeframe: getCurrentTimeframe(),
+            source: priceSource,
+            // An ATR on the chart gives the exact value TradingView plots
+            atr: getChartATR(),
             timestamp: Date.now()
           }
+        }).then(response => {
+          // Background replies with the current move references for band drawing
+          if (response && response.moveReferences) {
+            moveReferences = response.moveReferences;
+          }
         }).catch(() => {});
 
         // Update chart info for line positioning
@@ -1776,6 +2112,42 @@
     }, 200);
   }
 
+  // Keep the newest quote per symbol, dropping the least recently updated past the cap
+  function storeQuote(data) {
+    const symbol = normalizeSymbol(data.symbol);
+    if (!symbol) return;
+    delete quoteStore[symbol];
+    quoteStore[symbol] = data;
+    const symbols = Object.keys(quoteStore);
+    if (symbols.length > MAX_QUOTE_SYMBOLS) delete quoteStore[symbols[0]];
+  }
+
+  // Socket quote for a symbol while the quote stream is alive, or null to fall
+  // back to the DOM. A quiet symbol's last trade stays current as long as the
+  // socket keeps talking; a dead socket makes every stored quote suspect
+  function getLiveQuote(symbol) {
+    const quote = quoteStore[normalizeSymbol(symbol)];
+    if (!quote || !(quote.last > 0)) return null;
+    return Date.now() - socketActiveAt < SOCKET_IDLE_MS ? quote : null;
+  }
+
+  // Keep this tab in the background chart registry while the price is quiet
+  function startRegistryHeartbeat() {
+    const ping = () => {
+      chrome.runtime.sendMessage({
+        type: 'PING',
+        data: {
+          price: currentPrice,
+          symbol: currentSymbol || getCurrentSymbol(),
+          timeframe: getCurrentTimeframe(),
+          source: priceSource
+        }
+      }).catch(() => {});
+    };
+    ping();
+    setInterval(ping, 10000);
+  }
+
   // Update stored chart information
   function updateChartInfo() {
     const range = getChartPriceRange();
@@ -1849,8 +2221,19 @@
     console.log('[TV-Alert] Drawing', alertLevels.length, 'alert levels, chartInfo:', chartInfo);
 
     alertLevels.forEach(level => {
-      if (level.enabled) {
-        const line = createPriceLine(level);
+      // Option, volume and reminder levels have no price to draw
+      if (level.type === 'option' || level.type === 'volume' || level.type === 'reminder') return;
+      if (level.enabled && levelMatchesSymbol(level, currentSymbol)) {
+        let line;
+        if (level.type === 'move') {
+          line = createMoveBand(level);
+        } else if (level.type === 'zone') {
+          line = createZoneBand(level);
+        } else if (level.type === 'trendline') {
+          line = createTrendLine(level);
+        } else {
+          line = createPriceLine(level);
+        }
         overlay.appendChild(line);
         priceLineElements.push(line);
       }
@@ -1860,6 +2243,20 @@
     setTimeout(updateAllLinePositions, 100);
   }
 
+  // Normalize a symbol for matching (NASDAQ:AAPL and AAPL are the same chart)
+  function normalizeSymbol(symbol) {
+    if (!symbol) return '';
+    const ticker = String(symbol).trim().split(/\s+/)[0];
+    return ticker.replace(/^[A-Z0-9_]+:/i, '').toUpperCase();
+  }
+
+  // Only draw levels scoped to this chart's symbol (or to all symbols)
+  function levelMatchesSymbol(level, symbol) {
+    if (!level.symbol || level.symbol === 'ALL') return true;
+    if (!symbol) return false;
+    return normalizeSymbol(level.symbol) === normalizeSymbol(symbol);
+  }
+
   // Create a visual price line element
   function createPriceLine(level) {
     const line = document.createElement('div');
@@ -1945,6 +2342,284 @@
     return line;
   }
 
+  // Create a diagonal trendline element (positioned by updateTrendLinePosition)
+  function createTrendLine(level) {
+    const line = createPriceLine({ ...level, price: level.anchors[1].price });
+    line.dataset.kind = 'trendline';
+    delete line.dataset.price;
+    line.style.transformOrigin = '0 50%';
+    line.style.transition = 'none';
+
+    // A sloped line has no single price, so drop the axis label
+    line.querySelectorAll('.tv-alert-label').forEach(label => label.remove());
+    return line;
+  }
+
+  // Candles for the symbol on this chart, preferring the series updated last
+  function getChartCandles() {
+    const target = normalizeSymbol(currentSymbol);
+    const keySymbol = key => normalizeSymbol(key.slice(0, key.lastIndexOf(':')));
+
+    if (lastCandleKey && candleStore[lastCandleKey] && keySymbol(lastCandleKey) === target) {
+      return candleStore[lastCandleKey];
+    }
+    const key = Object.keys(candleStore).find(k => keySymbol(k) === target);
+    return key ? candleStore[key] : null;
+  }
+
+  // Indicators on the chart's current symbol and timeframe
+  function getChartStudies() {
+    const timeframe = getCurrentTimeframe();
+    const key = Object.keys(studyStore).find(k => {
+      const sep = k.lastIndexOf(':');
+      return normalizeSymbol(k.slice(0, sep)) === normalizeSymbol(currentSymbol) &&
+        (!timeframe || k.slice(sep + 1) === timeframe);
+    });
+    return key ? Object.values(studyStore[key]) : [];
+  }
+
+  // Latest plotted value of a chart indicator by its lookup key (e.g. 'ATR', 'RSI'), or null
+  function getStudyValue(key, plot = 0) {
+    const study = getChartStudies().find(s => s.key === key);
+    if (!study) return null;
+    for (let i = study.points.length - 1; i >= 0; i--) {
+      const value = study.points[i].values[plot];
+      if (value !== null && value !== undefined) return value;
+    }
+    return null;
+  }
+
+  // ATR for re-arm distances: the chart's own ATR (a single plot) when it has one,
+  // otherwise computed from the intercepted candles
+  function getChartATR() {
+    const plotted = getStudyValue('ATR');
+    return plotted > 0 ? plotted : calculateATR(getChartCandles());
+  }
+
+  // Chart resolution, taken from the latest intercepted series for this symbol
+  function getCurrentTimeframe() {
+    if (!lastCandleKey) return '';
+    const sep = lastCandleKey.lastIndexOf(':');
+    const keySymbol = normalizeSymbol(lastCandleKey.slice(0, sep));
+    return keySymbol === normalizeSymbol(currentSymbol) ? lastCandleKey.slice(sep + 1) : '';
+  }
+
+  // Average true range of the chart's candles, used by ATR re-arm rules
+  function calculateATR(candles, period = 14) {
+    if (!candles || candles.length <= period) return null;
+
+    const recent = candles.slice(-(period + 1));
+    let total = 0;
+    for (let i = 1; i < recent.length; i++) {
+      const { high, low } = recent[i];
+      const prevClose = recent[i - 1].close;
+      total += Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+    }
+    return total / period;
+  }
+
+  // Map a timestamp to an X offset on the visible time axis. Bars are evenly
+  // spaced by index (session gaps take no room), so times become bar indexes
+  // and the visible range is scaled onto the plot width
+  function calculateXPosition(timestamp, candles) {
+    if (!visibleRange) return null;
+    const from = getBarIndex(visibleRange.from, candles);
+    const to = getBarIndex(visibleRange.to, candles);
+    if (!(to > from)) return null;
+    return ((getBarIndex(timestamp, candles) - from) / (to - from)) * (chartInfo.chartWidth - 60);
+  }
+
+  // Fractional bar index of a time; beyond the stored candles, step by the bar interval
+  function getBarIndex(time, candles) {
+    const last = candles.length - 1;
+    const interval = candles[last].timestamp - candles[last - 1].timestamp;
+    if (time <= candles[0].timestamp) return (time - candles[0].timestamp) / interval;
+    if (time >= candles[last].timestamp) return last + (time - candles[last].timestamp) / interval;
+
+    let lo = 0;
+    let hi = last;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (candles[mid].timestamp <= time) lo = mid; else hi = mid;
+    }
+    return lo + (time - candles[lo].timestamp) / (candles[hi].timestamp - candles[lo].timestamp);
+  }
+
+  // Position a trendline from its first anchor to the latest candle
+  function updateTrendLinePosition(lineElement) {
+    const level = alertLevels.find(l => l.id === lineElement.dataset.levelId);
+    const candles = getChartCandles();
+    if (!level || !candles || candles.length < 2) {
+      lineElement.style.display = 'none';
+      return;
+    }
+
+    const [a, b] = level.anchors;
+    const priceAt = t => a.price + (b.price - a.price) * (t - a.time) / (b.time - a.time);
+    // Only the part inside the visible time range, from the first anchor to the latest bar
+    const startTime = Math.max(a.time, visibleRange ? visibleRange.from : a.time);
+    const endTime = Math.min(candles[candles.length - 1].timestamp, visibleRange ? visibleRange.to : Infinity);
+    if (!visibleRange || startTime >= endTime) {
+      lineElement.style.display = 'none';
+      return;
+    }
+
+    const x1 = calculateXPosition(startTime, candles);
+    const x2 = calculateXPosition(endTime, candles);
+    const y1 = calculateYPosition(priceAt(startTime));
+    const y2 = calculateYPosition(priceAt(endTime));
+    if (x1 === null || y1 === null || y2 === null) {
+      lineElement.style.display = 'none';
+      return;
+    }
+
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    lineElement.style.left = `${chartInfo.chartLeft + x1}px`;
+    lineElement.style.top = `${chartInfo.chartTop + y1}px`;
+    lineElement.style.width = `${Math.sqrt(dx * dx + dy * dy)}px`;
+    lineElement.style.transform = `rotate(${Math.atan2(dy, dx)}rad)`;
+    lineElement.style.display = 'block';
+  }
+
+  // Create a shaded band around a move level's reference price
+  function createMoveBand(level) {
+    return createPriceBand(level, formatMoveThreshold(level));
+  }
+
+  // Create a shaded zone band between a zone level's low and high
+  function createZoneBand(level) {
+    const eventText = { enter: 'ENTER', exit: 'EXIT', inside: `INSIDE ${level.insideMinutes || 0}m` }[level.zoneEvent || 'enter'];
+    const band = createPriceBand(level, `${formatPrice(level.low)} - ${formatPrice(level.high)}`);
+
+    const eventLabel = document.createElement('div');
+    eventLabel.style.cssText = `
+      position: absolute;
+      left: 10px;
+      top: 2px;
+      font-size: 10px;
+      color: ${level.color || '#ff9800'};
+      text-shadow: 0 0 3px black;
+    `;
+    eventLabel.textContent = `▣ ZONE ${eventText}`;
+    band.appendChild(eventLabel);
+    return band;
+  }
+
+  // Shared shaded band element (positioned by updateBandPosition)
+  function createPriceBand(level, labelText) {
+    const band = document.createElement('div');
+    band.id = `alert-band-${level.id}`;
+    band.className = 'tv-alert-band';
+    band.dataset.kind = 'band';
+    band.dataset.levelId = level.id;
+
+    const color = level.color || '#ff9800';
+
+    band.style.cssText = `
+      position: fixed;
+      display: none;
+      background: ${color}1f;
+      border-top: 1px dashed ${color};
+      border-bottom: 1px dashed ${color};
+      pointer-events: none;
+      z-index: 9991;
+      transition: top 0.1s ease-out, height 0.1s ease-out;
+    `;
+
+    // Reference price marker through the middle of the band
+    const center = document.createElement('div');
+    center.className = 'tv-alert-band-center';
+    center.style.cssText = `
+      position: absolute;
+      left: 0;
+      right: 0;
+      top: 50%;
+      height: 1px;
+      background: ${color};
+      opacity: 0.5;
+    `;
+    band.appendChild(center);
+
+    const label = document.createElement('div');
+    label.className = 'tv-alert-label';
+    label.style.cssText = `
+      position: absolute;
+      right: 0;
+      top: 50%;
+      transform: translate(100%, -50%);
+      background: ${color};
+      color: white;
+      padding: 3px 8px;
+      border-radius: 3px;
+      font-size: 11px;
+      font-weight: 600;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      white-space: nowrap;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    `;
+    label.textContent = labelText;
+    band.appendChild(label);
+
+    return band;
+  }
+
+  // Threshold label for a move level (±1.5% or ±$2.00)
+  function formatMoveThreshold(level) {
+    return level.unit === 'amount'
+      ? `±$${Number(level.threshold).toFixed(2)}`
+      : `±${level.threshold}%`;
+  }
+
+  // Price range a band covers: the zone itself, or reference ± threshold for moves
+  function getBandRange(level) {
+    if (level.type === 'zone') {
+      return { low: level.low, high: level.high };
+    }
+
+    const reference = moveReferences[level.id];
+    if (!reference) return null;
+    const offset = level.unit === 'amount' ? level.threshold : reference * level.threshold / 100;
+    return { low: reference - offset, high: reference + offset };
+  }
+
+  // Position a band element over its price range
+  function updateBandPosition(bandElement) {
+    const level = alertLevels.find(l => l.id === bandElement.dataset.levelId);
+    const range = level && getBandRange(level);
+    if (!range) {
+      bandElement.style.display = 'none';
+      return;
+    }
+
+    const topY = calculateYPosition(range.high);
+    const bottomY = calculateYPosition(range.low);
+    if (topY === null || bottomY === null) {
+      bandElement.style.display = 'none';
+      return;
+    }
+
+    // Clamp to the visible chart area
+    const top = Math.max(0, Math.min(topY, bottomY));
+    const bottom = Math.min(chartInfo.chartHeight, Math.max(topY, bottomY));
+    if (bottom <= top) {
+      bandElement.style.display = 'none';
+      return;
+    }
+
+    bandElement.style.left = `${chartInfo.chartLeft}px`;
+    bandElement.style.width = `${chartInfo.chartWidth - 60}px`;
+    bandElement.style.top = `${chartInfo.chartTop + top}px`;
+    bandElement.style.height = `${bottom - top}px`;
+    bandElement.style.display = 'block';
+  }
+
+  // Escape user text (notes, imported fields) before it goes into innerHTML
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
   // Format price for display
   function formatPrice(price) {
     if (price >= 1000) {
@@ -2014,7 +2689,15 @@
   // Update all line positions
   function updateAllLinePositions() {
     updateChartInfo();
-    priceLineElements.forEach(line => updateLinePosition(line));
+    priceLineElements.forEach(el => {
+      if (el.dataset.kind === 'band') {
+        updateBandPosition(el);
+      } else if (el.dataset.kind === 'trendline') {
+        updateTrendLinePosition(el);
+      } else {
+        updateLinePosition(el);
+      }
+    });
   }
 
   // Flash a line when alert triggers
@@ -2063,20 +2746,99 @@
     }, 150);
   }
 
+  // Flash a move band when its alert triggers
+  function flashBand(levelId) {
+    const band = document.getElementById(`alert-band-${levelId}`);
+    if (!band) return;
+
+    let pulseCount = 0;
+    const pulseInterval = setInterval(() => {
+      pulseCount++;
+      band.style.opacity = pulseCount % 2 === 0 ? '1' : '0.4';
+      if (pulseCount >= 10) {
+        clearInterval(pulseInterval);
+        band.style.opacity = '1';
+      }
+    }, 150);
+  }
+
   // Handle alert trigger from background
-  function handleAlertTrigger(level, symbol, price, direction) {
-    console.log(`[TV-Alert] TRIGGERED: ${symbol} crossed ${direction} ${level.price}`);
+  function handleAlertTrigger(level, symbol, price, direction, details) {
+    console.log(`[TV-Alert] TRIGGERED: ${symbol} ${level.type || 'price'} alert (${direction})`);
+
+    if (level.type === 'zone') {
+      flashBand(level.id);
+
+      const range = `${formatPrice(level.low)} - ${formatPrice(level.high)}`;
+      const eventText = {
+        enter: `entered zone ${range}`,
+        exit: `left zone ${range}`,
+        inside: `inside zone ${range} for ${details ? details.minutesInside : level.insideMinutes}m`
+      }[level.zoneEvent || 'enter'];
+      showToast(
+        `${symbol} ${eventText}<br>Current: ${formatPrice(price)}`,
+        direction === 'inside' ? 'alert' : direction,
+        8000
+      );
+      return;
+    }
+
+    if (level.type === 'volume' && details) {
+      // Volumes arrive already formatted by the background
+      const basis = details.spike
+        ? `${details.ratio.toFixed(1)}× ${level.lookback}-bar avg`
+        : `≥ ${details.minVolumeText}`;
+      showToast(
+        `📊 ${symbol} ${formatTimeframe(details.timeframe)} volume ${details.volumeText} (${basis})`,
+        'alert',
+        8000
+      );
+      return;
+    }
+
+    if (level.type === 'reminder') {
+      const zone = details && details.timeZone ? ` ${details.timeZone}` : '';
+      showToast(`⏰ ${escapeHtml(level.time)}${zone}: ${escapeHtml(level.note)}`, 'alert', 10000);
+      return;
+    }
 
-    // Play sound
-    playAlertSound();
+    if (level.type === 'option') {
+      const contract = `${symbol} ${level.strike}${level.optionType === 'put' ? 'P' : 'C'}`;
+      const condition = direction === 'below' ? '≤' : '≥';
+      showToast(
+        `${contract} ${level.field.toUpperCase()} ${condition} ${level.price.toFixed(2)}<br>Current: ${price.toFixed(2)}`,
+        direction,
+        8000
+      );
+      return;
+    }
+
+    if (level.type === 'move' && details) {
+      flashBand(level.id);
+
+      const move = details.move;
+      const moveText = level.unit === 'amount'
+        ? `${move >= 0 ? '+' : '-'}$${Math.abs(move).toFixed(2)}`
+        : `${move >= 0 ? '+' : ''}${move.toFixed(2)}%`;
+      showToast(
+        `${symbol} moved ${moveText} from ${formatPrice(details.reference)}<br>Current: ${formatPrice(price)}`,
+        direction,
+        8000
+      );
+      return;
+    }
 
     // Flash the line
     flashLine(level.id, direction);
 
     // Show toast
     const dirText = direction === 'above' ? 'crossed ABOVE' : 'crossed BELOW';
+    const levelText = level.type === 'trendline'
+      ? `trendline ${formatPrice(details.levelPrice)}`
+      : formatPrice(level.price);
+    const closeText = details && details.confirmed ? ` on ${formatTimeframe(details.timeframe)} close` : '';
     showToast(
-      `${symbol} ${dirText} ${formatPrice(level.price)}<br>Current: ${formatPrice(price)}`,
+      `${symbol} ${dirText} ${levelText}${closeText}<br>Current: ${formatPrice(price)}`,
       direction,
       8000
     );
@@ -2087,9 +2849,14 @@
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       switch (message.type) {
         case 'GET_PRICE':
+          const quote = getLiveQuote(currentSymbol);
           sendResponse({
             price: currentPrice,
-            symbol: currentSymbol
+            symbol: currentSymbol,
+            timeframe: getCurrentTimeframe(),
+            source: priceSource,
+            bid: quote ? quote.bid : null,
+            ask: quote ? quote.ask : null
           });
           break;
 
@@ -2100,12 +2867,28 @@
           break;
 
         case 'ALERT_TRIGGERED':
-          handleAlertTrigger(message.level, message.symbol, message.price, message.direction);
+          handleAlertTrigger(message.level, message.symbol, message.price, message.direction, message.details);
+          if (message.level.critical && message.alertId) {
+            showCriticalBanner(message.alertId, message.title, message.message, 0);
+          }
           sendResponse({ received: true });
           break;
 
+        case 'ALERT_ESCALATED':
+          showCriticalBanner(message.alertId, message.title, message.message, message.escalations);
+          flashLine(message.levelId, message.direction);
+          sendResponse({ received: true });
+          break;
+
+        case 'CRITICAL_ACKNOWLEDGED':
+          (message.ids || []).forEach(id => {
+            document.querySelector(`.tv-alert-toast.critical[data-alert-id="${id}"]`)?.remove();
+          });
+          sendResponse({ success: true });
+          break;
+
         case 'PING':
-          sendResponse({ pong: true, price: currentPrice, symbol: currentSymbol });
+          sendResponse({ pong: true, price: currentPrice, symbol: currentSymbol, timeframe: getCurrentTimeframe() });
           break;
 
         case 'API_SETTINGS_UPDATED':
@@ -2138,6 +2921,10 @@
         case 'GET_CANDLES':
           sendResponse({ candles: candleStore });
           break;
+
+        case 'GET_DRAWINGS':
+          sendResponse({ drawings: Object.values(chartDrawings) });
+          break;
       }
       return true;
     });
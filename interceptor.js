@@ -17,6 +17,25 @@
   let lastSymbol = '';
   let lastResolution = '';
 
+  // Multi-chart layouts run one chart session per chart; bars arrive keyed by
+  // series id, so map "session|seriesId" -> { symbolId, resolution } and
+  // "session|symbolId" -> symbol to label each bar with its own chart
+  const chartSeries = {};
+  const chartSymbols = {};
+
+  // Indicators on each chart: "session|studyId" -> { seriesId, name }
+  const chartStudies = {};
+
+  // Quote-session updates only carry the fields that changed, so keep the
+  // merged values per "quoteSession|symbol" to relay complete quotes
+  const quoteCache = {};
+  const MAX_QUOTE_CACHE = 500; // Least recently updated entries go first
+
+  // Inbound socket traffic (heartbeats included) tells content.js the quote
+  // stream is alive even when a quiet symbol stops ticking
+  let lastActivityRelay = 0;
+  const SOCKET_ACTIVITY_INTERVAL = 5000;
+
   // Try to extract symbol from URL
   function getSymbolFromUrl() {
     try {
@@ -94,6 +113,98 @@
     }, '*');
   }
 
+  // Layout save/load endpoints carry the chart's drawings: /savechart/ on the
+  // main site and /charts-storage/ on its storage host
+  const LAYOUT_HOST = /(^|\.)tradingview\.com$/;
+  const LAYOUT_PATH = /^\/(savechart|charts-storage)\//;
+  const HORIZONTAL_TOOLS = ['LineToolHorzLine', 'LineToolHorzRay'];
+
+  // Only TradingView's own layout endpoints; relative URLs resolve against the chart page
+  function isLayoutUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return parsed.protocol === 'https:' && LAYOUT_HOST.test(parsed.hostname) && LAYOUT_PATH.test(parsed.pathname);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // Find horizontal line drawings anywhere in a layout payload. Saves nest the
+  // chart as a JSON string, and line tools don't always name their symbol, so
+  // the pane's main series (or the storage entry) symbol is passed down
+  function collectDrawings(node, symbolHint, found, depth = 0) {
+    if (depth > 16 || node === null || node === undefined) return;
+
+    if (typeof node === 'string') {
+      if (node[0] === '{' && node.includes('LineTool')) {
+        try {
+          collectDrawings(JSON.parse(node), symbolHint, found, depth + 1);
+        } catch (e) {}
+      }
+      return;
+    }
+    if (typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      const main = node.find(item => item && item.type === 'MainSeries' && item.state && item.state.symbol);
+      const hint = main ? main.state.symbol : symbolHint;
+      node.forEach(item => collectDrawings(item, hint, found, depth + 1));
+      return;
+    }
+
+    if (HORIZONTAL_TOOLS.includes(node.type) && node.id && Array.isArray(node.points) && node.points.length > 0) {
+      const state = node.state || {};
+      found.drawings.push({
+        id: node.id,
+        type: node.type,
+        price: node.points[0].price,
+        color: state.linecolor || null,
+        text: state.text || '',
+        symbol: state.symbol || symbolHint || '',
+        visible: state.visible !== false
+      });
+      return;
+    }
+
+    // charts-storage saves list removed drawings as { sources: { id: null } }
+    if (node.sources && typeof node.sources === 'object' && !Array.isArray(node.sources)) {
+      Object.keys(node.sources).forEach(id => {
+        if (node.sources[id] === null) found.removed.push(id);
+      });
+    }
+
+    const hint = typeof node.symbol === 'string' ? node.symbol : symbolHint;
+    Object.keys(node).forEach(key => collectDrawings(node[key], hint, found, depth + 1));
+  }
+
+  // Relay drawings found in a layout request body or response
+  function captureDrawings(payload) {
+    const found = { drawings: [], removed: [] };
+    collectDrawings(payload, '', found);
+    if (found.drawings.length === 0 && found.removed.length === 0) return;
+
+    log('Captured', found.drawings.length, 'horizontal drawings,', found.removed.length, 'removed');
+    window.postMessage({
+      type: 'TV_DRAWINGS',
+      source: 'tv-interceptor',
+      data: found
+    }, '*');
+  }
+
+  // Request bodies: JSON text, form-encoded text, URLSearchParams or FormData
+  function captureBodyDrawings(body) {
+    if (!body) return;
+    if (typeof body === 'string') {
+      if (body.trim()[0] === '{') {
+        captureDrawings(body);
+      } else {
+        captureDrawings([...new URLSearchParams(body).values()]);
+      }
+    } else if (body instanceof URLSearchParams || body instanceof FormData) {
+      captureDrawings([...body.values()].filter(value => typeof value === 'string'));
+    }
+  }
+
   // Override fetch
   window.fetch = async function(...args) {
     const response = await originalFetch.apply(this, args);
@@ -101,6 +212,12 @@
     try {
       const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || '';
 
+      // Layout saves carry drawings in the request; loads in the response
+      if (isLayoutUrl(url)) {
+        captureBodyDrawings(args[1] && args[1].body);
+        response.clone().text().then(captureDrawings).catch(() => {});
+      }
+
       // Log all fetch requests for debugging
       if (url.includes('tradingview')) {
         log('Fetch request:', url.substring(0, 150));
@@ -141,6 +258,18 @@
       return originalXHRSend.apply(this, args);
     }
 
+    // Layout saves carry drawings in the request; loads in the response
+    if (isLayoutUrl(url)) {
+      try {
+        captureBodyDrawings(args[0]);
+      } catch (e) {
+        log('Layout body parse error:', e);
+      }
+      xhr.addEventListener('load', () => {
+        if (xhr.status === 200 && typeof xhr.response === 'string') captureDrawings(xhr.response);
+      });
+    }
+
     // Only intercept TradingView data endpoints
     if (url.includes('tradingview.com') && (url.includes('/history') || url.includes('symbols'))) {
       const originalOnReadyStateChange = xhr.onreadystatechange;
@@ -181,6 +310,220 @@
     return originalXHRSend.apply(this, args);
   };
 
+  // TradingView WebSocket framing: every message is one or more
+  // ~m~LENGTH~m~PAYLOAD frames; payloads are JSON session messages
+  // ({ m: method, p: params }) or ~h~N heartbeats
+  const FRAME_HEADER = /^~m~(\d+)~m~/;
+  const FRAME_MARKER = '~m~';
+
+  // Split a raw WebSocket message into decoded frames
+  function decodeFrames(raw) {
+    const frames = [];
+    let pos = 0;
+
+    while (pos < raw.length) {
+      const header = FRAME_HEADER.exec(raw.slice(pos, pos + 24));
+      if (!header) {
+        if (DEBUG) log('Bad frame header at', pos, raw.slice(pos, pos + 24));
+        break;
+      }
+      const start = pos + header[0].length;
+      const end = findFrameEnd(raw, start, Number(header[1]));
+      if (end < 0) {
+        if (DEBUG) log('Truncated frame at', pos, raw.slice(pos, pos + 24));
+        break;
+      }
+      frames.push(decodePayload(raw.slice(start, end)));
+      pos = end;
+    }
+
+    return frames;
+  }
+
+  // The length counts string characters from the page's client but UTF-8 bytes
+  // from the server; use whichever reading lands on the next frame or the end.
+  // -1 when neither does: the message was cut off mid-frame
+  function findFrameEnd(raw, start, length) {
+    const end = start + length;
+    if (end === raw.length || raw.startsWith(FRAME_MARKER, end)) return end;
+
+    let bytes = 0;
+    let i = start;
+    while (i < raw.length && bytes < length) {
+      const code = raw.codePointAt(i);
+      bytes += code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+      i += code > 0xffff ? 2 : 1;
+    }
+    if (bytes !== length) return -1;
+    return i === raw.length || raw.startsWith(FRAME_MARKER, i) ? i : -1;
+  }
+
+  // { heartbeat } for ~h~ frames, { message } for JSON, { text } for anything else
+  function decodePayload(payload) {
+    if (payload.startsWith('~h~')) {
+      return { heartbeat: payload.slice(3) };
+    }
+    try {
+      return { message: JSON.parse(payload) };
+    } catch (e) {
+      return { text: payload };
+    }
+  }
+
+  // Run every session message in a raw WebSocket message through the handlers
+  function inspectFrames(raw, outbound) {
+    decodeFrames(raw).forEach(frame => {
+      if (!frame.message || typeof frame.message !== 'object') return;
+      try {
+        if (outbound) {
+          handleClientMessage(frame.message);
+        } else {
+          handleServerMessage(frame.message);
+        }
+      } catch (e) {
+        log('Frame handler error:', e);
+      }
+    });
+  }
+
+  // Symbol spec from resolve_symbol: "NASDAQ:AAPL" or '={"symbol":"NASDAQ:AAPL",...}'
+  function parseSymbolSpec(spec) {
+    if (typeof spec !== 'string') return '';
+    if (!spec.startsWith('=')) return spec;
+    try {
+      const parsed = JSON.parse(spec.slice(1));
+      return typeof parsed.symbol === 'string' ? parsed.symbol : parseSymbolSpec(parsed.symbol && parsed.symbol.symbol);
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // Messages the page sends: these choose the chart's symbol and resolution
+  function handleClientMessage(data) {
+    const params = Array.isArray(data.p) ? data.p : [];
+
+    // resolve_symbol: [chartSession, symbolId, symbolSpec]
+    if (data.m === 'resolve_symbol') {
+      const sym = parseSymbolSpec(params[2]);
+      if (sym) {
+        chartSymbols[`${params[0]}|${params[1]}`] = sym;
+        lastSymbol = sym;
+        log('Symbol from resolve_symbol:', params[0], params[1], lastSymbol);
+      }
+    }
+
+    // create_series / modify_series: [chartSession, seriesId, turnaround, symbolId, resolution, ...]
+    if (data.m === 'create_series' || data.m === 'modify_series') {
+      const res = params[4];
+      if (typeof res === 'string' || typeof res === 'number') {
+        chartSeries[`${params[0]}|${params[1]}`] = { symbolId: params[3], resolution: String(res) };
+        lastResolution = String(res);
+        log('Series', params[0], params[1], '->', params[3], lastResolution);
+      }
+    }
+
+    // create_study: [chartSession, studyId, turnaround, parentSeriesId, scriptId, inputs]
+    if (data.m === 'create_study') {
+      const name = getStudyName(params[4], params[5]);
+      chartStudies[`${params[0]}|${params[1]}`] = { seriesId: params[3], name, key: getStudyKey(name) };
+      log('Study', params[0], params[1], '->', chartStudies[`${params[0]}|${params[1]}`].name);
+    }
+
+    // remove_study: [chartSession, studyId]
+    if (data.m === 'remove_study') {
+      delete chartStudies[`${params[0]}|${params[1]}`];
+      relayStudyRemoved(params[0], params[1]);
+    }
+
+    // quote_remove_symbols: [quoteSession, ...symbols]
+    if (data.m === 'quote_remove_symbols') {
+      dropQuotes(params[0], params.slice(1));
+    }
+
+    // quote_delete_session: [quoteSession]
+    if (data.m === 'quote_delete_session') {
+      const prefix = `${params[0]}|`;
+      dropQuotes(params[0], Object.keys(quoteCache).filter(k => k.startsWith(prefix)).map(k => k.slice(prefix.length)));
+    }
+
+    // remove_series: [chartSession, seriesId]
+    if (data.m === 'remove_series') {
+      delete chartSeries[`${params[0]}|${params[1]}`];
+    }
+
+    // chart_delete_session: [chartSession]
+    if (data.m === 'chart_delete_session') {
+      const prefix = `${params[0]}|`;
+      Object.keys(chartStudies).forEach(key => {
+        if (key.startsWith(prefix)) relayStudyRemoved(params[0], key.slice(prefix.length));
+      });
+      [chartSeries, chartSymbols, chartStudies].forEach(map => {
+        Object.keys(map).forEach(key => { if (key.startsWith(prefix)) delete map[key]; });
+      });
+    }
+  }
+
+  // "RSI@tv-basicstudies-1" -> "RSI"; Pine built-ins ("Script@tv-scripting-101!")
+  // name themselves through a pineId such as "STD;RSI" or "STD;MACD"
+  function getStudyName(scriptId, inputs) {
+    const pineId = inputs && typeof inputs.pineId === 'string' ? inputs.pineId : '';
+    if (pineId) return pineId.replace(/^(STD|PUB|USER);/, '').replace(/_/g, ' ');
+    return String(scriptId || '').split('@')[0] || 'Study';
+  }
+
+  // Lookup key content.js asks for: the name without spacing, with long
+  // built-in names folded onto their short form ("Average True Range" -> "ATR")
+  const STUDY_KEYS = {
+    AVERAGETRUERANGE: 'ATR',
+    RELATIVESTRENGTHINDEX: 'RSI'
+  };
+  function getStudyKey(name) {
+    const compact = String(name || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return STUDY_KEYS[compact] || compact;
+  }
+
+  // Symbol and resolution for a series id in a chart session (null if never created)
+  function getSeriesInfo(session, seriesId) {
+    const series = chartSeries[`${session}|${seriesId}`];
+    if (!series) return null;
+    return {
+      symbol: chartSymbols[`${session}|${series.symbolId}`] || '',
+      resolution: series.resolution
+    };
+  }
+
+  // Messages the server pushes: symbol info and bar data
+  function handleServerMessage(data) {
+    // symbol_resolved: [chartSession, symbolId, symbolInfo]
+    if (data.m === 'symbol_resolved' && Array.isArray(data.p)) {
+      const symbolData = data.p[2];
+      if (symbolData && typeof symbolData === 'object') {
+        const sym = symbolData.pro_name || symbolData.full_name || symbolData.name || symbolData.short_name;
+        if (sym) {
+          chartSymbols[`${data.p[0]}|${data.p[1]}`] = sym;
+          lastSymbol = sym;
+          log('Symbol resolved:', lastSymbol);
+        }
+      }
+    }
+
+    // qsd: [quoteSession, { n: symbol, s: status, v: changed fields }]
+    if (data.m === 'qsd' && Array.isArray(data.p)) {
+      processQuoteData(data.p[0], data.p[1]);
+    }
+
+    // Look for timescale_update messages (historical data)
+    if (data.m === 'timescale_update' && data.p) {
+      log('Found timescale_update message');
+      processSeriesPayload(data.p, false);
+    }
+
+    // Look for du (data update) messages (real-time)
+    if (data.m === 'du' && data.p) {
+      processSeriesPayload(data.p, true);
+    }
+  }
+
   // Also try to intercept WebSocket for real-time updates
   const originalWebSocket = window.WebSocket;
   window.WebSocket = function(url, protocols) {
@@ -192,155 +535,172 @@
 
     // Only intercept TradingView WebSocket
     if (url.includes('tradingview.com') || url.includes('data.tradingview')) {
-      // Use event listener to capture messages
       ws.addEventListener('message', function(event) {
-        try {
-          const msg = event.data;
-          if (typeof msg !== 'string') return;
-
-          // TradingView uses ~m~LENGTH~m~PAYLOAD format
-          // Split by ~m~ and process each packet
-          const packets = msg.split(/~m~\d+~m~/);
-
-          packets.forEach(packet => {
-            if (!packet || packet.length < 2) return;
-
-            // Try to parse as JSON
-            try {
-              // Find JSON object in packet
-              const jsonStart = packet.indexOf('{');
-              const jsonEnd = packet.lastIndexOf('}');
-              if (jsonStart === -1 || jsonEnd === -1) return;
-
-              const jsonStr = packet.substring(jsonStart, jsonEnd + 1);
-              const data = JSON.parse(jsonStr);
-
-              // Capture symbol from symbol_resolved message
-              if (data.m === 'symbol_resolved' && data.p) {
-                const symbolData = data.p[1];
-                if (symbolData) {
-                  // Try different properties that might contain the symbol
-                  const sym = symbolData.name || symbolData.symbol || symbolData.full_name || symbolData.short_name;
-                  if (sym) {
-                    lastSymbol = sym;
-                    log('Symbol resolved:', lastSymbol);
-                  }
-                }
-              }
-
-              // Also capture from resolve_symbol requests
-              if (data.m === 'resolve_symbol' && data.p && data.p.length >= 2) {
-                const sym = data.p[1];
-                if (typeof sym === 'string' && sym.length > 0) {
-                  lastSymbol = sym;
-                  log('Symbol from resolve_symbol:', lastSymbol);
-                }
-              }
-
-              // Capture resolution from create_series or modify_series
-              if ((data.m === 'create_series' || data.m === 'modify_series') && data.p) {
-                // Resolution is usually in the parameters
-                const params = data.p;
-                if (Array.isArray(params) && params.length >= 4) {
-                  const res = params[3]; // Resolution often at index 3
-                  if (typeof res === 'string' || typeof res === 'number') {
-                    lastResolution = String(res);
-                    log('Resolution set:', lastResolution);
-                  }
-                }
-                // Also try to extract symbol from create_series if present
-                if (params.length >= 2 && typeof params[1] === 'string' && !lastSymbol) {
-                  // Sometimes symbol is in params[1]
-                  lastSymbol = params[1];
-                  log('Symbol from create_series:', lastSymbol);
-                }
-              }
-
-              // Look for timescale_update messages (historical data)
-              if (data.m === 'timescale_update' && data.p) {
-                log('Found timescale_update message');
-                processTimescaleUpdate(data.p);
-              }
-
-              // Look for du (data update) messages (real-time)
-              if (data.m === 'du' && data.p) {
-                processDataUpdate(data.p);
-              }
-
-              // Look for series data in various formats
-              if (data.p && Array.isArray(data.p)) {
-                data.p.forEach(item => {
-                  // Check for series data with 's' array (candles)
-                  if (item.s && Array.isArray(item.s)) {
-                    log('Found series data, length:', item.s.length);
-                    processSeriesData(item);
-                  }
-                  // Check for 'sds_1' or similar series data
-                  if (item.sds_1 && item.sds_1.s) {
-                    log('Found sds_1 series data');
-                    processSeriesData(item.sds_1);
-                  }
-                });
-              }
-            } catch (e) {
-              // Not valid JSON, skip
-            }
-          });
-        } catch (e) {
-          // Silent fail for non-matching messages
-        }
+        relaySocketActivity(true);
+        if (typeof event.data === 'string') inspectFrames(event.data, false);
+      });
+      ws.addEventListener('close', function() {
+        relaySocketActivity(false);
       });
+
+      // Outgoing messages (resolve_symbol, create_series) never reach the
+      // message listener, so wrap this socket's send as well
+      const originalSend = ws.send;
+      ws.send = function(data) {
+        if (typeof data === 'string') {
+          try {
+            inspectFrames(data, true);
+          } catch (e) {
+            log('Send intercept error:', e);
+          }
+        }
+        return originalSend.apply(this, arguments);
+      };
     }
 
     return ws;
   };
 
-  // Process timescale_update messages (historical bars)
-  function processTimescaleUpdate(payload) {
+  // Process timescale_update (historical) and du (real-time) payloads:
+  // [chartSession, { seriesId: { s: [bars] }, studyId: {...} }]
+  function processSeriesPayload(payload, isRealtime) {
     if (!Array.isArray(payload)) return;
+    const session = typeof payload[0] === 'string' ? payload[0] : '';
 
     payload.forEach(item => {
-      // Try to extract symbol from the payload item keys
-      // Keys like "sds_sym_1" may contain symbol info
+      if (!item || typeof item !== 'object') return;
+
       Object.keys(item).forEach(key => {
-        if (key.startsWith('sds_') || key.startsWith('st_')) {
-          const seriesData = item[key];
-          if (seriesData && seriesData.s && Array.isArray(seriesData.s)) {
-            processSeriesData(seriesData, false, key);
-          }
+        const seriesData = item[key];
+        if (seriesData && Array.isArray(seriesData.st)) {
+          processStudyData(session, key, seriesData, isRealtime);
+          return;
         }
+        if (!seriesData || !Array.isArray(seriesData.s)) return;
+
+        // Series we saw created carry their own symbol; otherwise only
+        // sds_ keys are price series (study outputs share the same shape)
+        const series = getSeriesInfo(session, key);
+        if (!series && !key.startsWith('sds_')) return;
+        processSeriesData(seriesData, isRealtime, series);
       });
 
       // Also check direct s array
-      if (item.s && Array.isArray(item.s)) {
-        processSeriesData(item, false, '');
+      if (Array.isArray(item.s)) {
+        processSeriesData(item, isRealtime, null);
       }
     });
   }
 
-  // Process data update messages (real-time)
-  function processDataUpdate(payload) {
-    if (!Array.isArray(payload)) return;
+  // Relay indicator plot values: each point is { i, v: [time, plot0, plot1, ...] }
+  function processStudyData(session, studyId, studyObj, isRealtime) {
+    const study = chartStudies[`${session}|${studyId}`];
+    const series = study ? getSeriesInfo(session, study.seriesId) : null;
+
+    const points = [];
+    studyObj.st.forEach(point => {
+      if (!Array.isArray(point.v) || point.v.length < 2) return;
+      points.push({
+        timestamp: point.v[0] * 1000,
+        // Gaps in a plot come through as 1e100
+        values: point.v.slice(1).map(v => (typeof v === 'number' && Math.abs(v) < 1e100 ? v : null))
+      });
+    });
+    if (points.length === 0) return;
 
-    payload.forEach(item => {
-      if (item.sds_1 && item.sds_1.s) {
-        processSeriesData(item.sds_1, true);
+    window.postMessage({
+      type: 'TV_STUDY_DATA',
+      source: 'tv-interceptor',
+      data: {
+        session,
+        studyId,
+        name: study ? study.name : studyId,
+        key: study ? study.key : '',
+        symbol: series && series.symbol ? series.symbol : getCurrentSymbol(),
+        timeframe: series ? series.resolution : lastResolution,
+        points,
+        isRealtime
       }
-      if (item.s && Array.isArray(item.s)) {
-        processSeriesData(item, true);
+    }, '*');
+  }
+
+  // Tell content.js an indicator left the chart so its last values stop being used
+  function relayStudyRemoved(session, studyId) {
+    window.postMessage({
+      type: 'TV_STUDY_DATA',
+      source: 'tv-interceptor',
+      data: { session, studyId, removed: true }
+    }, '*');
+  }
+
+  // Merge a quote-session update and relay the full quote
+  function processQuoteData(session, item) {
+    if (!item || typeof item.n !== 'string' || item.s !== 'ok' || !item.v) return;
+
+    const key = `${session}|${item.n}`;
+    const quote = Object.assign(quoteCache[key] || {}, item.v);
+    delete quoteCache[key]; // Re-insert so key order runs from least to most recently updated
+    quoteCache[key] = quote;
+    const keys = Object.keys(quoteCache);
+    if (keys.length > MAX_QUOTE_CACHE) delete quoteCache[keys[0]];
+    if (typeof quote.lp !== 'number') return;
+
+    window.postMessage({
+      type: 'TV_QUOTE',
+      source: 'tv-interceptor',
+      data: {
+        symbol: parseSymbolSpec(item.n) || item.n,
+        last: quote.lp,
+        bid: quote.bid ?? null,
+        ask: quote.ask ?? null,
+        volume: quote.volume ?? null,
+        change: quote.ch ?? null,
+        changePercent: quote.chp ?? null,
+        time: quote.lp_time ? quote.lp_time * 1000 : Date.now()
       }
-    });
+    }, '*');
+  }
+
+  // Forget a quote session's symbols; tell content.js about the ones no session still streams
+  function dropQuotes(session, symbols) {
+    symbols.forEach(sym => { delete quoteCache[`${session}|${sym}`]; });
+
+    const streamed = new Set(Object.keys(quoteCache).map(k => k.slice(k.indexOf('|') + 1)));
+    const removed = symbols.filter(sym => typeof sym === 'string' && !streamed.has(sym));
+    if (removed.length === 0) return;
+
+    window.postMessage({
+      type: 'TV_QUOTE_REMOVED',
+      source: 'tv-interceptor',
+      data: { symbols: removed.map(sym => parseSymbolSpec(sym) || sym) }
+    }, '*');
+  }
+
+  // Let content.js know the socket is alive, at most every few seconds;
+  // open: false when a TradingView socket closes
+  function relaySocketActivity(open) {
+    const now = Date.now();
+    if (open && now - lastActivityRelay < SOCKET_ACTIVITY_INTERVAL) return;
+    lastActivityRelay = open ? now : 0;
+
+    window.postMessage({
+      type: 'TV_SOCKET_ACTIVITY',
+      source: 'tv-interceptor',
+      data: { open, time: now }
+    }, '*');
   }
 
   // Process series data (OHLCV candles)
-  function processSeriesData(seriesObj, isRealtime = false, seriesName = '') {
+  function processSeriesData(seriesObj, isRealtime = false, series = null) {
     if (!seriesObj || !seriesObj.s || !Array.isArray(seriesObj.s)) return;
 
-    // Try to extract symbol from series name (e.g., "sds_sym_1" sometimes has symbol info)
-    let symbol = getCurrentSymbol();
+    // Bars from a known series are labelled with that chart's symbol and resolution;
+    // unknown ones fall back to the most recently resolved symbol
+    let symbol = series && series.symbol ? series.symbol : getCurrentSymbol();
+    const resolution = series ? series.resolution : lastResolution;
 
     // Also check if there's a symbol in the series object
-    if (seriesObj.ns && seriesObj.ns.d) {
+    if (!series && seriesObj.ns && seriesObj.ns.d) {
       // Sometimes the symbol is in ns.d
       symbol = seriesObj.ns.d || symbol;
     }
@@ -357,7 +717,7 @@
           close: bar.v[4],
           volume: bar.v[5] || 0,
           symbol: symbol,
-          timeframe: lastResolution,
+          timeframe: resolution,
           isRealtime: isRealtime
         });
       }
@@ -368,12 +728,37 @@
       relayToContentScript({
         candles: candles,
         symbol: symbol,
-        timeframe: lastResolution,
+        timeframe: resolution,
         isRealtime: isRealtime
       });
     }
   }
 
+  // Visible time range of the active chart, read from the page's chart API so
+  // content.js can place trendlines along the time axis as the user scrolls
+  let lastVisibleRange = '';
+  function pollVisibleRange() {
+    try {
+      const api = window.TradingViewApi;
+      const chart = api && typeof api.activeChart === 'function' ? api.activeChart() : null;
+      const range = chart && typeof chart.getVisibleRange === 'function' ? chart.getVisibleRange() : null;
+      if (!range || !(range.to > range.from)) return;
+
+      const key = `${range.from}:${range.to}`;
+      if (key === lastVisibleRange) return;
+      lastVisibleRange = key;
+
+      window.postMessage({
+        type: 'TV_VISIBLE_RANGE',
+        source: 'tv-interceptor',
+        data: { from: range.from * 1000, to: range.to * 1000 }
+      }, '*');
+    } catch (e) {
+      // Chart API not ready yet
+    }
+  }
+  setInterval(pollVisibleRange, 250);
+
   // Copy static properties
   Object.keys(originalWebSocket).forEach(key => {
     window.WebSocket[key] = originalWebSocket[key];
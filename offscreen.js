@@ -0,0 +1,52 @@
+// TradingView Price Alert Extension - Offscreen Audio Player
+// Owned by the background worker, which cannot use WebAudio itself
+
+let audioContext = null;
+
+// Built-in tones: each note is [frequency, start offset (s), duration (s)]
+const TONES = {
+  chime: { type: 'sine', notes: [[800, 0, 0.5], [1000, 0.2, 0.5]] },
+  bell: { type: 'triangle', notes: [[1320, 0, 1.2], [1760, 0, 0.8]] },
+  ding: { type: 'sine', notes: [[1200, 0, 0.35]] },
+  alarm: { type: 'square', notes: [[880, 0, 0.15], [660, 0.2, 0.15], [880, 0.4, 0.15], [660, 0.6, 0.15]] },
+  rising: { type: 'sine', notes: [[523, 0, 0.2], [659, 0.15, 0.2], [784, 0.3, 0.35]] }
+};
+
+// Play a named tone at the given volume (0-1)
+function playTone(name, volume) {
+  const tone = TONES[name] || TONES.chime;
+  if (!audioContext) {
+    audioContext = new AudioContext();
+  }
+  const now = audioContext.currentTime;
+
+  tone.notes.forEach(([frequency, offset, duration]) => {
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+
+    oscillator.type = tone.type;
+    oscillator.frequency.value = frequency;
+
+    gainNode.gain.setValueAtTime(Math.max(0.01, volume * 0.5), now + offset);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, now + offset + duration);
+
+    oscillator.start(now + offset);
+    oscillator.stop(now + offset + duration);
+  });
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  // Every extension page sees runtime messages; only handle ours
+  if (message.target !== 'offscreen') return;
+
+  if (message.type === 'PLAY_SOUND') {
+    try {
+      playTone(message.sound, message.volume ?? 0.7);
+    } catch (e) {
+      console.log('[TV-Alert] Could not play sound:', e);
+    }
+  }
+});
@@ -475,7 +475,7 @@
 
   class PatternDetector {
     constructor(options = {}) {
-      this.minConfidence = options.minConfidence || 60;
+      this.minConfidence = options.minConfidence ?? 60;
       this.enabledPatterns = options.enabledPatterns || null; // null = all enabled
     }
 
@@ -85,12 +85,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
 
       if (tabs.length === 0) {
-        const allTvTabs = await chrome.tabs.query({
-          url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*']
-        });
+        // Fall back to the chart that reported to the background registry most recently
+        const response = await chrome.runtime.sendMessage({ type: 'GET_CHART_TABS' });
+        const chartTabs = (response && response.tabs) || [];
 
-        if (allTvTabs.length > 0) {
-          await getPriceFromTab(allTvTabs[0].id);
+        if (chartTabs.length > 0) {
+          await getPriceFromTab(chartTabs[0].tabId);
         } else {
           setDisconnected();
         }
@@ -133,6 +133,12 @@ document.addEventListener('DOMContentLoaded', async () => {
     currentSymbolEl.textContent = '';
   }
 
+  // Escape user text (notes, imported fields) before it goes into innerHTML
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+  }
+
   function formatPrice(price) {
     if (price >= 1000) {
       return price.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
@@ -175,9 +181,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       <div class="level-item" data-id="${level.id}">
         <div class="level-color" style="background: ${level.color}"></div>
         <div class="level-info">
-          <div class="level-price">${formatPrice(level.price)}</div>
+          <div class="level-price">${getLevelTitle(level)}</div>
           <div class="level-meta">
-            ${getDirectionText(level.direction)}
+            ${{ reminder: 'Reminder', volume: 'Volume spike' }[level.type] || getDirectionText(level.direction)}
             ${level.enabled ? '• Active' : '• Paused'}
           </div>
         </div>
@@ -217,6 +223,32 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Headline for a level row: the price, move size, zone range, trendline anchors or option contract
+  function getLevelTitle(level) {
+    if (level.type === 'reminder') {
+      return `⏰ ${escapeHtml(level.time)} ${escapeHtml(level.note)}`;
+    }
+    if (level.type === 'volume') {
+      return level.multiplier ? `${level.multiplier}× avg volume` : `Volume ≥ ${level.minVolume}`;
+    }
+    if (level.type === 'option') {
+      const side = level.optionType === 'put' ? 'P' : 'C';
+      return `${level.strike}${side} ${level.field} ${level.direction === 'below' ? '≤' : '≥'} ${Number(level.price).toFixed(2)}`;
+    }
+    if (level.type === 'zone') {
+      return `${formatPrice(level.low)} - ${formatPrice(level.high)}`;
+    }
+    if (level.type === 'trendline') {
+      return `${formatPrice(level.anchors[0].price)} → ${formatPrice(level.anchors[1].price)}`;
+    }
+    if (level.type === 'move') {
+      return level.unit === 'amount'
+        ? `±$${Number(level.threshold).toFixed(2)}`
+        : `±${level.threshold}%`;
+    }
+    return formatPrice(level.price);
+  }
+
   function getDirectionText(direction) {
     switch (direction) {
       case 'above': return 'Cross above';
@@ -5,13 +5,77 @@ document.addEventListener('DOMContentLoaded', async () => {
   const statusDot = document.getElementById('statusDot');
   const statusText = document.getElementById('statusText');
   const currentPriceEl = document.getElementById('currentPrice');
+  const priceLabel = document.getElementById('priceLabel');
+  const syncDrawingsBtn = document.getElementById('syncDrawingsBtn');
+  const drawingSyncStatus = document.getElementById('drawingSyncStatus');
   const currentSymbolEl = document.getElementById('currentSymbol');
   const settingsGear = document.getElementById('settingsGear');
+  const chartTabRow = document.getElementById('chartTabRow');
+  const chartTabSelect = document.getElementById('chartTabSelect');
 
   // Elements - Alerts Tab
   const priceInput = document.getElementById('priceInput');
   const colorInput = document.getElementById('colorInput');
   const directionInput = document.getElementById('directionInput');
+  const symbolInput = document.getElementById('symbolInput');
+  const alertTypeInput = document.getElementById('alertTypeInput');
+  const typeFields = document.querySelectorAll('.type-fields');
+  const moveThresholdInput = document.getElementById('moveThresholdInput');
+  const moveUnitInput = document.getElementById('moveUnitInput');
+  const moveReferenceInput = document.getElementById('moveReferenceInput');
+  const moveWindowInput = document.getElementById('moveWindowInput');
+  const zoneLowInput = document.getElementById('zoneLowInput');
+  const zoneHighInput = document.getElementById('zoneHighInput');
+  const zoneEventInput = document.getElementById('zoneEventInput');
+  const zoneMinutesInput = document.getElementById('zoneMinutesInput');
+  const confirmCloseInput = document.getElementById('confirmCloseInput');
+  const confirmTimeframeInput = document.getElementById('confirmTimeframeInput');
+  const volumeMultipleInput = document.getElementById('volumeMultipleInput');
+  const volumeLookbackInput = document.getElementById('volumeLookbackInput');
+  const volumeMinInput = document.getElementById('volumeMinInput');
+  const volumeTimeframeInput = document.getElementById('volumeTimeframeInput');
+  const reminderTimeInput = document.getElementById('reminderTimeInput');
+  const reminderNoteInput = document.getElementById('reminderNoteInput');
+  const reminderDayInputs = document.querySelectorAll('#reminderDays input');
+  const reminderRepeatInput = document.getElementById('reminderRepeatInput');
+  const sessionInput = document.getElementById('sessionInput');
+  const sessionCustomRow = document.getElementById('sessionCustomRow');
+  const sessionStartInput = document.getElementById('sessionStartInput');
+  const sessionEndInput = document.getElementById('sessionEndInput');
+  const expiresInput = document.getElementById('expiresInput');
+  const rearmModeInput = document.getElementById('rearmModeInput');
+  const rearmValueInput = document.getElementById('rearmValueInput');
+  const rearmTickCol = document.getElementById('rearmTickCol');
+  const rearmTickInput = document.getElementById('rearmTickInput');
+  const levelRepeatInput = document.getElementById('levelRepeatInput');
+  const soundInput = document.getElementById('soundInput');
+  const previewSoundBtn = document.getElementById('previewSoundBtn');
+  const volumeInput = document.getElementById('volumeInput');
+  const volumeValue = document.getElementById('volumeValue');
+  const speakInput = document.getElementById('speakInput');
+  const criticalInput = document.getElementById('criticalInput');
+  const exportScopeInput = document.getElementById('exportScopeInput');
+  const exportJsonBtn = document.getElementById('exportJsonBtn');
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const importLevelsBtn = document.getElementById('importLevelsBtn');
+  const importFileInput = document.getElementById('importFileInput');
+  const importPreview = document.getElementById('importPreview');
+  const newTemplateBtn = document.getElementById('newTemplateBtn');
+  const templateForm = document.getElementById('templateForm');
+  const templateNameInput = document.getElementById('templateNameInput');
+  const templateKindInput = document.getElementById('templateKindInput');
+  const templateKindFields = document.querySelectorAll('.template-kind');
+  const templateOffsetsInput = document.getElementById('templateOffsetsInput');
+  const templateUnitInput = document.getElementById('templateUnitInput');
+  const templateStepInput = document.getElementById('templateStepInput');
+  const templateRangeInput = document.getElementById('templateRangeInput');
+  const templateAboveColorInput = document.getElementById('templateAboveColorInput');
+  const templateBelowColorInput = document.getElementById('templateBelowColorInput');
+  const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+  const cancelTemplateBtn = document.getElementById('cancelTemplateBtn');
+  const templateList = document.getElementById('templateList');
+  const anchorCandleInputs = [document.getElementById('anchor1Candle'), document.getElementById('anchor2Candle')];
+  const anchorPriceInputs = [document.getElementById('anchor1Price'), document.getElementById('anchor2Price')];
   const addBtn = document.getElementById('addBtn');
   const alertList = document.getElementById('alertList');
   const alertBadge = document.getElementById('alertBadge');
@@ -19,7 +83,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Elements - Orders Tab
   const orderList = document.getElementById('orderList');
   const ordersBadge = document.getElementById('ordersBadge');
-  const filterBtns = document.querySelectorAll('.filter-btn');
+  const filterBtns = document.querySelectorAll('#orders-tab .filter-btn');
+
+  // Elements - History Tab
+  const historyList = document.getElementById('historyList');
+  const historyBadge = document.getElementById('historyBadge');
+  const historyFilterBtns = document.querySelectorAll('[data-history-filter]');
+  const historySymbolFilter = document.getElementById('historySymbolFilter');
+  const acknowledgeAllBtn = document.getElementById('acknowledgeAllBtn');
+  const clearHistoryBtn = document.getElementById('clearHistory');
 
   // Elements - Trades Tab
   const tradeList = document.getElementById('tradeList');
@@ -35,6 +107,16 @@ document.addEventListener('DOMContentLoaded', async () => {
   const confidenceValue = document.getElementById('confidenceValue');
   const patternToast = document.getElementById('patternToast');
   const clearPatternsBtn = document.getElementById('clearPatterns');
+  const newPatternRuleBtn = document.getElementById('newPatternRuleBtn');
+  const patternRuleForm = document.getElementById('patternRuleForm');
+  const ruleTypeInput = document.getElementById('ruleTypeInput');
+  const ruleDirectionInput = document.getElementById('ruleDirectionInput');
+  const ruleSymbolInput = document.getElementById('ruleSymbolInput');
+  const ruleTimeframeInput = document.getElementById('ruleTimeframeInput');
+  const ruleConfidenceInput = document.getElementById('ruleConfidenceInput');
+  const savePatternRuleBtn = document.getElementById('savePatternRuleBtn');
+  const cancelPatternRuleBtn = document.getElementById('cancelPatternRuleBtn');
+  const patternRuleList = document.getElementById('patternRuleList');
 
   // Elements - Settings Modal
   const settingsModal = document.getElementById('settingsModal');
@@ -45,6 +127,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   const saveApiSettingsBtn = document.getElementById('saveApiSettings');
   const testApiBtn = document.getElementById('testApiBtn');
   const apiTestResult = document.getElementById('apiTestResult');
+  const webhookEnabled = document.getElementById('webhookEnabled');
+  const webhookUrlsInput = document.getElementById('webhookUrlsInput');
+  const webhookEventInputs = {
+    alert: document.getElementById('webhookEventAlert'),
+    pattern: document.getElementById('webhookEventPattern'),
+    trade: document.getElementById('webhookEventTrade')
+  };
+  const webhookTemplateInput = document.getElementById('webhookTemplateInput');
+  const saveWebhookSettingsBtn = document.getElementById('saveWebhookSettings');
+  const testWebhookBtn = document.getElementById('testWebhookBtn');
+  const webhookResult = document.getElementById('webhookResult');
+  const webhookLogList = document.getElementById('webhookLog');
+  const clearWebhookLogBtn = document.getElementById('clearWebhookLog');
+  const exchangeTimezoneInput = document.getElementById('exchangeTimezoneInput');
+  const syncEnabled = document.getElementById('syncEnabled');
+  const syncNowBtn = document.getElementById('syncNowBtn');
+  const syncStatusEl = document.getElementById('syncStatus');
 
   // Elements - Footer
   const clearAlertsBtn = document.getElementById('clearAlerts');
@@ -59,19 +158,36 @@ document.addEventListener('DOMContentLoaded', async () => {
   let currentSymbol = '';
   let currentOrderFilter = 'all';
   let detectedPatterns = [];
+  let knownSymbols = [];
+  let trendlineCandles = [];
+  let editingLevelId = null;
+  let currentHistoryFilter = 'all';
+  let editingRuleId = null;
+  let chartTabs = []; // Background registry of connected chart tabs
+  let selectedTabId = null; // Chart picked in the header (null follows the active tab)
+  let currentTabId = null; // Chart tab every view is currently talking to
+  let pendingImport = null;
 
   // Initialize
   await loadAlerts();
+  await loadTemplates();
   await loadOrders();
+  await loadHistory();
   await loadTrades();
   await loadPatterns();
+  await loadPatternRules();
   await loadApiSettings();
+  await loadWebhookSettings();
+  await loadSyncSettings();
+  await loadScheduleSettings();
   await loadPatternSettings();
   await checkConnection();
   setupTabs();
   setupSettingsModal();
   setupOrderFilters();
+  setupHistoryFilters();
   setupPatternControls();
+  setupChartTabSelect();
 
   // Poll for price updates
   setInterval(checkConnection, 2000);
@@ -99,6 +215,8 @@ document.addEventListener('DOMContentLoaded', async () => {
           loadTrades();
         } else if (targetTab === 'orders') {
           loadOrders();
+        } else if (targetTab === 'history') {
+          loadHistory();
         } else if (targetTab === 'patterns') {
           loadPatterns();
         }
@@ -110,6 +228,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   function setupSettingsModal() {
     settingsGear.addEventListener('click', () => {
       settingsModal.classList.add('active');
+      loadWebhookLog();
     });
 
     closeSettingsBtn.addEventListener('click', () => {
@@ -135,27 +254,56 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Find the TradingView chart tab to talk to: the header pick, else the active one
+  async function getChartTab() {
+    if (selectedTabId !== null) {
+      try {
+        return await chrome.tabs.get(selectedTabId);
+      } catch (e) {
+        selectedTabId = null; // Picked tab was closed
+      }
+    }
+
+    const tabs = await chrome.tabs.query({
+      url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'],
+      active: true,
+      currentWindow: true
+    });
+    if (tabs.length > 0) return tabs[0];
+
+    // Otherwise the chart that reported in most recently
+    for (const entry of chartTabs) {
+      try {
+        return await chrome.tabs.get(entry.tabId);
+      } catch (e) {
+        // Closed since the registry was read
+      }
+    }
+
+    const allTvTabs = await chrome.tabs.query({
+      url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*']
+    });
+    return allTvTabs[0] || null;
+  }
+
   // Check connection to TradingView tab
   async function checkConnection() {
     try {
-      const tabs = await chrome.tabs.query({
-        url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*'],
-        active: true,
-        currentWindow: true
-      });
+      await loadChartTabs();
+      const tab = await getChartTab();
+      const tabChanged = (tab ? tab.id : null) !== currentTabId;
+      currentTabId = tab ? tab.id : null;
 
-      if (tabs.length === 0) {
-        const allTvTabs = await chrome.tabs.query({
-          url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*']
-        });
-
-        if (allTvTabs.length > 0) {
-          await getPriceFromTab(allTvTabs[0].id);
-        } else {
-          setDisconnected();
-        }
+      if (tab) {
+        await getPriceFromTab(tab.id);
       } else {
-        await getPriceFromTab(tabs[0].id);
+        setDisconnected();
+      }
+
+      // Following the active tab can switch charts without touching the selector
+      if (tabChanged) {
+        detectedPatterns = [];
+        loadPatterns();
       }
     } catch (e) {
       console.error('Connection check error:', e);
@@ -170,7 +318,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       if (response && response.price) {
         currentPrice = response.price;
         currentSymbol = response.symbol || '';
-        setConnected(currentPrice, currentSymbol);
+        setConnected(currentPrice, currentSymbol, response);
       } else {
         setDisconnected();
       }
@@ -179,11 +327,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   }
 
-  function setConnected(price, symbol) {
+  function setConnected(price, symbol, quote = {}) {
     statusDot.classList.add('active');
     statusText.textContent = 'Connected';
     currentPriceEl.textContent = formatPrice(price);
+    priceLabel.textContent = getPriceSourceText(quote.source);
+    priceLabel.title = quote.bid && quote.ask ? `Bid ${formatPrice(quote.bid)} / Ask ${formatPrice(quote.ask)}` : '';
     currentSymbolEl.textContent = symbol || '--';
+    updateSymbolOptions();
   }
 
   function setDisconnected() {
@@ -191,6 +342,92 @@ document.addEventListener('DOMContentLoaded', async () => {
     statusText.textContent = 'Open TradingView';
     currentPriceEl.textContent = '--';
     currentSymbolEl.textContent = '--';
+    priceLabel.textContent = 'Current Price';
+    priceLabel.title = '';
+    updateSymbolOptions();
+  }
+
+  // Where the chart tab reads its price: the socket quote stream or the page itself
+  function getPriceSourceText(source) {
+    switch (source) {
+      case 'quote': return 'Current Price • Live quote';
+      case 'dom': return 'Current Price • From page';
+      default: return 'Current Price';
+    }
+  }
+
+  // Refresh the header chart selector from the background registry
+  async function loadChartTabs() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CHART_TABS' });
+      chartTabs = (response && response.tabs) || [];
+    } catch (e) {
+      chartTabs = [];
+    }
+    if (selectedTabId !== null && !chartTabs.some(t => t.tabId === selectedTabId)) {
+      selectedTabId = null;
+    }
+
+    const html = `
+      <option value="">Active chart</option>
+      ${chartTabs.map(t => {
+        const label = [t.symbol || 'Loading', formatTimeframe(t.timeframe), t.price ? formatPrice(t.price) : '']
+          .filter(Boolean).join(' · ');
+        return `<option value="${t.tabId}">${label}${t.stale ? ' (idle)' : ''}</option>`;
+      }).join('')}
+    `;
+    chartTabRow.classList.toggle('active', chartTabs.length > 1 || selectedTabId !== null);
+
+    // Skip identical rebuilds so the 2s poll doesn't close an open dropdown
+    if (chartTabSelect.dataset.html !== html) {
+      chartTabSelect.dataset.html = html;
+      chartTabSelect.innerHTML = html;
+    }
+    chartTabSelect.value = selectedTabId !== null ? String(selectedTabId) : '';
+  }
+
+  function setupChartTabSelect() {
+    chartTabSelect.addEventListener('change', async () => {
+      selectedTabId = chartTabSelect.value ? Number(chartTabSelect.value) : null;
+      await checkConnection();
+      if (alertTypeInput.value === 'trendline') {
+        loadTrendlineCandles();
+      }
+    });
+  }
+
+  function normalizeSymbol(symbol) {
+    if (!symbol) return '';
+    const ticker = String(symbol).trim().split(/\s+/)[0];
+    return ticker.replace(/^[A-Z0-9_]+:/i, '').toUpperCase();
+  }
+
+  // Rebuild the symbol picker: this chart, all symbols, then symbols already in use
+  function updateSymbolOptions() {
+    const selected = symbolInput.value;
+    const chartSymbol = normalizeSymbol(currentSymbol);
+    const others = knownSymbols.filter(s => s !== chartSymbol);
+
+    const html = `
+      <option value="">This chart${chartSymbol ? ` (${chartSymbol})` : ''}</option>
+      <option value="ALL">All symbols</option>
+      ${others.map(s => `<option value="${s}">${s}</option>`).join('')}
+    `;
+
+    // Skip identical rebuilds so the 2s poll doesn't close an open dropdown
+    if (symbolInput.dataset.html === html) return;
+    symbolInput.dataset.html = html;
+    symbolInput.innerHTML = html;
+
+    if ([...symbolInput.options].some(o => o.value === selected)) {
+      symbolInput.value = selected;
+    }
+  }
+
+  // Escape user text (notes, imported fields) before it goes into innerHTML
+  function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
   }
 
   function formatPrice(price) {
@@ -208,16 +445,22 @@ document.addEventListener('DOMContentLoaded', async () => {
   async function loadAlerts() {
     try {
       const response = await chrome.runtime.sendMessage({ type: 'GET_LEVELS' });
-      renderAlerts(response.levels || []);
+      renderAlerts(response.levels || [], response.disarmed || []);
     } catch (e) {
       console.error('Failed to load alerts:', e);
       renderAlerts([]);
     }
   }
 
-  function renderAlerts(levels) {
+  function renderAlerts(levels, disarmed = []) {
     alertBadge.textContent = levels.length;
 
+    knownSymbols = [...new Set(levels
+      .map(l => l.symbol)
+      .filter(s => s && s !== 'ALL'))].sort();
+    updateSymbolOptions();
+    updateExportScopeOptions();
+
     if (levels.length === 0) {
       alertList.innerHTML = `
         <div class="empty-state">
@@ -235,9 +478,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       <div class="alert-item" data-id="${level.id}">
         <div class="alert-color" style="background: ${level.color}"></div>
         <div class="alert-info">
-          <div class="alert-price">${formatPrice(level.price)}</div>
+          <div class="alert-price">${getLevelTitle(level)}</div>
           <div class="alert-meta">
-            ${getDirectionText(level.direction)} ${level.enabled ? '• Active' : '• Paused'}
+            ${getSymbolText(level.symbol)} • ${getLevelDescription(level)} ${getLevelStatusText(level)}${level.critical ? ' • Critical' : ''}
           </div>
         </div>
         <div class="alert-actions">
@@ -249,6 +492,11 @@ document.addEventListener('DOMContentLoaded', async () => {
               }
             </svg>
           </button>
+          <button class="action-btn" data-action="edit" title="Edit">
+            <svg viewBox="0 0 24 24">
+              <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+            </svg>
+          </button>
           <button class="action-btn delete" data-action="delete" title="Delete">
             <svg viewBox="0 0 24 24">
               <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
@@ -256,8 +504,46 @@ document.addEventListener('DOMContentLoaded', async () => {
           </button>
         </div>
       </div>
+      <div class="alert-editor ${editingLevelId === level.id ? 'active' : ''}" data-id="${level.id}">
+        ${renderEditorState(level, disarmed.includes(level.id))}
+        ${renderEditorFields(level)}
+        <div class="editor-actions">
+          <button class="btn btn-primary" data-action="save-edit">Save</button>
+          <button class="btn btn-secondary" data-action="cancel-edit">Cancel</button>
+        </div>
+      </div>
     `).join('');
 
+    alertList.querySelectorAll('[data-action="edit"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const alertId = e.target.closest('.alert-item').dataset.id;
+        editingLevelId = editingLevelId === alertId ? null : alertId;
+        alertList.querySelectorAll('.alert-editor').forEach(el => {
+          el.classList.toggle('active', el.dataset.id === editingLevelId);
+        });
+      });
+    });
+
+    alertList.querySelectorAll('[data-action="cancel-edit"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.target.closest('.alert-editor').classList.remove('active');
+        editingLevelId = null;
+      });
+    });
+
+    alertList.querySelectorAll('[data-action="save-edit"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const editor = e.target.closest('.alert-editor');
+        const level = levels.find(l => l.id === editor.dataset.id);
+        const updates = readEditorFields(editor, level);
+        if (!updates) return;
+
+        await chrome.runtime.sendMessage({ type: 'UPDATE_LEVEL', id: level.id, updates });
+        editingLevelId = null;
+        loadAlerts();
+      });
+    });
+
     // Add event listeners
     alertList.querySelectorAll('[data-action="toggle"]').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -276,72 +562,1319 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   }
 
+  // Armed/disarmed line at the top of the inline editor
+  function renderEditorState(level, isDisarmed) {
+    if (!level.enabled) {
+      return '<div class="editor-state">Paused</div>';
+    }
+    if (!isDisarmed) {
+      return '<div class="editor-state armed">Armed • will fire on the next trigger</div>';
+    }
+    if (level.type === 'reminder') {
+      return '<div class="editor-state armed">Scheduled • fires at its next time</div>';
+    }
+    const hint = ['move', 'zone', 'option', 'volume'].includes(level.type) || !level.repeating
+      ? 'saving re-arms it'
+      : `re-arms ${getRearmText(level.rearm)}`;
+    return `<div class="editor-state disarmed">Disarmed • ${hint}</div>`;
+  }
+
+  function getRearmText(rule) {
+    const { mode, value, tickSize } = rule || { mode: 'percent', value: 0.5 };
+    switch (mode) {
+      case 'ticks': return `${value} ticks away (tick ${tickSize || 0.01})`;
+      case 'atr': return `${value}× ATR away`;
+      case 'cooldown': return `after ${value} min`;
+      default: return `${value}% away`;
+    }
+  }
+
+  // Type-specific inputs for the inline alert editor
+  function renderEditorFields(level) {
+    const field = (label, name, value, attrs = 'type="number" step="0.01"') => `
+      <div class="form-col">
+        <label class="form-label">${label}</label>
+        <input ${attrs} data-field="${name}" value="${value ?? ''}">
+      </div>
+    `;
+    let fields = '';
+
+    if (level.type === 'zone') {
+      const events = { enter: 'Entering Zone', exit: 'Leaving Zone', inside: 'Staying Inside' };
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field('Zone Low', 'low', level.low)}
+          ${field('Zone High', 'high', level.high)}
+        </div></div>
+        <div class="form-group"><div class="form-row">
+          <div class="form-col" style="flex: 2;">
+            <label class="form-label">Fire On</label>
+            <select data-field="zoneEvent">
+              ${Object.entries(events).map(([value, label]) =>
+                `<option value="${value}" ${level.zoneEvent === value ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+          </div>
+          ${field('For (min)', 'insideMinutes', level.insideMinutes, 'type="number" step="1" min="0"')}
+        </div></div>
+      `;
+    } else if (level.type === 'move') {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field(level.unit === 'amount' ? 'Move ($)' : 'Move (%)', 'threshold', level.threshold)}
+          ${field('Within (min)', 'windowMinutes', level.windowMinutes, 'type="number" step="1" min="1"')}
+        </div></div>
+      `;
+    } else if (level.type === 'option') {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field(`${level.field.toUpperCase()} Threshold`, 'price', level.price)}
+        </div></div>
+      `;
+    } else if (level.type === 'volume') {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field('× Average', 'multiplier', level.multiplier, 'type="number" step="0.1" min="0"')}
+          ${field('Of Last (bars)', 'lookback', level.lookback, 'type="number" step="1" min="1" max="50"')}
+          ${field('Or Volume Above', 'minVolume', level.minVolume, 'type="number" step="1" min="0"')}
+        </div></div>
+      `;
+    } else if (level.type === 'reminder') {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field('Time', 'time', level.time, 'type="time"')}
+          <div class="form-col" style="flex: 2;">
+            <label class="form-label">Message</label>
+            <input type="text" data-field="note" value="${escapeHtml(level.note)}">
+          </div>
+        </div></div>
+      `;
+    } else if (level.type === 'trendline') {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field('Anchor 1 Price', 'anchor0', level.anchors[0].price)}
+          ${field('Anchor 2 Price', 'anchor1', level.anchors[1].price)}
+        </div></div>
+      ` + renderRearmFields(level, field);
+    } else {
+      fields = `
+        <div class="form-group"><div class="form-row">
+          ${field('Price Level', 'price', level.price)}
+        </div></div>
+      ` + renderRearmFields(level, field);
+    }
+
+    const sounds = { chime: 'Chime', bell: 'Bell', ding: 'Ding', alarm: 'Alarm', rising: 'Rising', none: 'No Sound' };
+    const sound = level.sound === false ? 'none' : (typeof level.sound === 'string' ? level.sound : 'chime');
+    return fields + `
+      <div class="form-group"><div class="form-row">
+        ${field('Color', 'color', level.color, 'type="color"')}
+        <div class="form-col" style="flex: 2;">
+          <label class="form-label">Sound</label>
+          <select data-field="sound">
+            ${Object.entries(sounds).map(([value, label]) =>
+              `<option value="${value}" ${sound === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+      </div></div>
+      <div class="form-group"><div class="form-row">
+        ${field('Volume', 'volume', level.volume ?? 0.7, 'type="range" min="0.1" max="1" step="0.1" style="cursor: pointer;"')}
+        <div class="form-col">
+          <label class="form-label">&nbsp;</label>
+          <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+            <input type="checkbox" data-field="speak" ${level.speak ? 'checked' : ''} style="width: 16px; height: 16px; cursor: pointer;">
+            <span style="font-size: 11px; color: #787b86;">Speak aloud</span>
+          </label>
+        </div>
+      </div></div>
+      <div class="form-group">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" data-field="critical" ${level.critical ? 'checked' : ''} style="width: 16px; height: 16px; cursor: pointer;">
+          <span style="font-size: 11px; color: #787b86;">Critical: repeat until acknowledged</span>
+        </label>
+      </div>
+    `;
+  }
+
+  function renderRearmFields(level, field) {
+    const rule = level.rearm || { mode: 'percent', value: 0.5 };
+    const modes = { percent: '% Away', ticks: 'Ticks Away', atr: 'ATR Multiple', cooldown: 'Cooldown (min)' };
+    return `
+      <div class="form-group"><div class="form-row">
+        <div class="form-col" style="flex: 2;">
+          <label class="form-label">Re-arm After</label>
+          <select data-field="rearmMode">
+            ${Object.entries(modes).map(([value, label]) =>
+              `<option value="${value}" ${rule.mode === value ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+        </div>
+        ${field('Amount', 'rearmValue', rule.value)}
+        ${field('Tick Size', 'rearmTickSize', rule.tickSize || 0.01)}
+      </div></div>
+      <div class="form-group">
+        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+          <input type="checkbox" data-field="repeating" ${level.repeating ? 'checked' : ''} style="width: 16px; height: 16px; cursor: pointer;">
+          <span style="font-size: 11px; color: #787b86;">Repeat: re-arm after firing (otherwise once)</span>
+        </label>
+      </div>
+    `;
+  }
+
+  // Collect editor inputs into UPDATE_LEVEL updates (null if invalid)
+  function readEditorFields(editor, level) {
+    const updates = {};
+    let valid = true;
+
+    editor.querySelectorAll('[data-field]').forEach(input => {
+      const name = input.dataset.field;
+      if (name === 'color' || name === 'zoneEvent' || name === 'rearmMode' || name === 'sound') {
+        updates[name] = input.value;
+        return;
+      }
+      if (name === 'time' || name === 'note') {
+        if (!input.value.trim()) {
+          flagInvalid(input);
+          valid = false;
+        } else {
+          updates[name] = input.value.trim();
+        }
+        return;
+      }
+      if (name === 'speak' || name === 'critical' || name === 'repeating') {
+        updates[name] = input.checked;
+        return;
+      }
+
+      const value = parseFloat(input.value);
+      const optional = ['windowMinutes', 'insideMinutes', 'multiplier', 'minVolume'].includes(name);
+      if (optional && input.value === '') {
+        updates[name] = name === 'insideMinutes' ? 0 : null;
+      } else if (isNaN(value) || value < 0 || (!optional && value === 0)) {
+        flagInvalid(input);
+        valid = false;
+      } else {
+        updates[name] = value;
+      }
+    });
+
+    if (!valid) return null;
+
+    if (level.type === 'trendline') {
+      updates.anchors = [
+        { ...level.anchors[0], price: updates.anchor0 },
+        { ...level.anchors[1], price: updates.anchor1 }
+      ];
+      delete updates.anchor0;
+      delete updates.anchor1;
+    }
+    if ('rearmMode' in updates) {
+      updates.rearm = { mode: updates.rearmMode, value: updates.rearmValue };
+      if (updates.rearmMode === 'ticks') updates.rearm.tickSize = updates.rearmTickSize;
+      delete updates.rearmMode;
+      delete updates.rearmValue;
+      delete updates.rearmTickSize;
+    }
+    if (level.type === 'volume' && !updates.multiplier && !updates.minVolume) {
+      flagInvalid(editor.querySelector('[data-field="multiplier"]'));
+      return null;
+    }
+    if (level.type === 'volume' && !(updates.lookback <= 50)) {
+      flagInvalid(editor.querySelector('[data-field="lookback"]'));
+      return null;
+    }
+    if (level.type === 'move' && level.reference === 'rolling' && !updates.windowMinutes) {
+      flagInvalid(editor.querySelector('[data-field="windowMinutes"]'));
+      return null;
+    }
+    return updates;
+  }
+
   function getDirectionText(direction) {
     switch (direction) {
       case 'above': return 'Cross above';
       case 'below': return 'Cross below';
       default: return 'Cross both';
     }
-  }
+  }
+
+  // Headline for an alert row: the price, move size, zone range, trendline anchors or option contract
+  function getLevelTitle(level) {
+    if (level.type === 'reminder') {
+      return `⏰ ${escapeHtml(level.time)} ${escapeHtml(level.note)}`;
+    }
+    if (level.type === 'volume') {
+      const parts = [];
+      if (level.multiplier) parts.push(`${level.multiplier}× avg vol`);
+      if (level.minVolume) parts.push(`vol ≥ ${level.minVolume.toLocaleString('en-US')}`);
+      return parts.join(' or ');
+    }
+    if (level.type === 'option') {
+      return `${getOptionContractText(level)} ${level.field} ${level.direction === 'below' ? '≤' : '≥'} ${Number(level.price).toFixed(2)}`;
+    }
+    if (level.type === 'zone') {
+      return `${formatPrice(level.low)} - ${formatPrice(level.high)}`;
+    }
+    if (level.type === 'trendline') {
+      const [a, b] = level.anchors;
+      return `${formatPrice(a.price)} → ${formatPrice(b.price)}`;
+    }
+    if (level.type === 'move') {
+      return level.unit === 'amount'
+        ? `±$${Number(level.threshold).toFixed(2)}`
+        : `±${level.threshold}%`;
+    }
+    return formatPrice(level.price);
+  }
+
+  function getLevelDescription(level) {
+    if (level.type === 'reminder') {
+      return `${getDaysText(level.days)}${level.repeating ? '' : ', once'}`;
+    }
+    const drawing = level.drawingId ? ' • Chart line' : '';
+    return getBaseDescription(level) + drawing + getScheduleText(level);
+  }
+
+  function getBaseDescription(level) {
+    const confirm = level.confirmOnClose ? ` • on ${formatTimeframe(level.confirmTimeframe)} close` : '';
+    if (level.type === 'move') {
+      const reference = {
+        session_open: 'from open',
+        creation: `from ${level.referencePrice ? formatPrice(level.referencePrice) : 'creation'}`,
+        rolling: 'rolling'
+      }[level.reference] || '';
+      const within = level.windowMinutes ? ` in ${level.windowMinutes}m` : '';
+      return `${getMoveDirectionText(level.direction)} ${reference}${within}`;
+    }
+    if (level.type === 'trendline') {
+      return `${getDirectionText(level.direction)} trendline${confirm}`;
+    }
+    if (level.type === 'option') {
+      return `Option ${level.field} quote`;
+    }
+    if (level.type === 'volume') {
+      const timeframe = level.timeframe ? formatTimeframe(level.timeframe) : 'any timeframe';
+      return `Volume vs ${level.lookback}-bar average • ${timeframe}`;
+    }
+    if (level.type === 'zone') {
+      switch (level.zoneEvent) {
+        case 'exit': return 'Zone exit';
+        case 'inside': return `Inside zone ${level.insideMinutes || 0}m`;
+        default: return 'Zone entry';
+      }
+    }
+    return getDirectionText(level.direction) + confirm;
+  }
+
+  // Session window and expiry suffix, e.g. " • RTH only • expires 16:00"
+  function getScheduleText(level) {
+    const session = {
+      rth: ' • RTH only',
+      eth: ' • Extended hours only',
+      custom: ` • ${level.sessionStart}-${level.sessionEnd} only`
+    }[level.session] || '';
+    if (!level.expiresAt) return session;
+
+    const expires = new Date(level.expiresAt);
+    const sameDay = expires.toDateString() === new Date().toDateString();
+    const when = expires.toLocaleString([], sameDay
+      ? { hour: '2-digit', minute: '2-digit' }
+      : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    return `${session} • ${expires <= Date.now() ? 'expired' : `expires ${when}`}`;
+  }
+
+  function getDaysText(days) {
+    const list = days || [];
+    if (list.length === 7) return 'Every day';
+    if (list.length === 5 && [1, 2, 3, 4, 5].every(d => list.includes(d))) return 'Weekdays';
+    return list.map(d => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d]).join(', ');
+  }
+
+  // e.g. "500C 6/21" (the row already shows the underlying symbol)
+  function getOptionContractText(level) {
+    const date = new Date(level.expiration * 1000).toLocaleDateString('en-US', { month: 'numeric', day: 'numeric', timeZone: 'UTC' });
+    return `${level.strike}${level.optionType === 'put' ? 'P' : 'C'} ${date}`;
+  }
+
+  function getLevelStatusText(level) {
+    if (!level.enabled) return '• Paused';
+    if (level.snoozedUntil > Date.now()) {
+      const until = new Date(level.snoozedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      return `• Snoozed until ${until}`;
+    }
+    return '• Active';
+  }
+
+  function getMoveDirectionText(direction) {
+    switch (direction) {
+      case 'above': return 'Up move';
+      case 'below': return 'Down move';
+      default: return 'Move';
+    }
+  }
+
+  function getSymbolText(symbol) {
+    return !symbol || symbol === 'ALL' ? 'All symbols' : symbol;
+  }
+
+  // Resolve the picker to a symbol for ADD_LEVEL ('' means the connected chart)
+  function getSelectedSymbol() {
+    if (symbolInput.value) return symbolInput.value;
+    return normalizeSymbol(currentSymbol) || 'ALL';
+  }
+
+  // Show the fields for the selected alert type
+  alertTypeInput.addEventListener('change', () => {
+    typeFields.forEach(el => {
+      el.classList.toggle('active', el.dataset.type.split(' ').includes(alertTypeInput.value));
+    });
+    if (alertTypeInput.value === 'trendline') {
+      loadTrendlineCandles();
+    }
+  });
+
+  confirmCloseInput.addEventListener('change', () => {
+    confirmTimeframeInput.disabled = !confirmCloseInput.checked;
+  });
+
+  sessionInput.addEventListener('change', () => {
+    sessionCustomRow.style.display = sessionInput.value === 'custom' ? '' : 'none';
+  });
+
+  // Session window and expiry for ADD_LEVEL (null if the custom window is invalid)
+  function readScheduleFields() {
+    const schedule = { session: sessionInput.value, expires: expiresInput.value };
+    if (sessionInput.value === 'custom') {
+      if (!sessionStartInput.value) {
+        flagInvalid(sessionStartInput);
+        return null;
+      }
+      if (!sessionEndInput.value || sessionEndInput.value <= sessionStartInput.value) {
+        flagInvalid(sessionEndInput);
+        return null;
+      }
+      schedule.sessionStart = sessionStartInput.value;
+      schedule.sessionEnd = sessionEndInput.value;
+    }
+    return schedule;
+  }
+
+  volumeInput.addEventListener('input', () => {
+    volumeValue.textContent = `${Math.round(volumeInput.value * 100)}%`;
+  });
+
+  previewSoundBtn.addEventListener('click', () => {
+    chrome.runtime.sendMessage({
+      type: 'PREVIEW_SOUND',
+      sound: soundInput.value,
+      volume: parseFloat(volumeInput.value)
+    }).catch(() => {});
+  });
+
+  // Suggest a sensible amount for each re-arm rule
+  const REARM_DEFAULTS = { percent: 0.5, ticks: 4, atr: 1, cooldown: 5 };
+  rearmModeInput.addEventListener('change', () => {
+    rearmValueInput.value = REARM_DEFAULTS[rearmModeInput.value];
+    rearmTickCol.style.display = rearmModeInput.value === 'ticks' ? '' : 'none';
+  });
+
+  // Re-arm rule from the add form (null if invalid)
+  function readRearmRule() {
+    const value = parseFloat(rearmValueInput.value);
+    if (!(value > 0)) {
+      flagInvalid(rearmValueInput);
+      return null;
+    }
+    const rule = { mode: rearmModeInput.value, value };
+    if (rule.mode === 'ticks') {
+      const tickSize = parseFloat(rearmTickInput.value);
+      if (!(tickSize > 0)) {
+        flagInvalid(rearmTickInput);
+        return null;
+      }
+      rule.tickSize = tickSize;
+    }
+    return rule;
+  }
+
+  // Fill the anchor pickers with candles from the connected chart's candleStore
+  async function loadTrendlineCandles() {
+    trendlineCandles = [];
+    try {
+      const tab = await getChartTab();
+      const response = tab ? await chrome.tabs.sendMessage(tab.id, { type: 'GET_CANDLES' }) : null;
+      const store = (response && response.candles) || {};
+      const target = normalizeSymbol(currentSymbol);
+
+      // Pick the series for this chart's symbol with the most recent candle
+      Object.keys(store).forEach(key => {
+        const candles = store[key];
+        if (normalizeSymbol(key.slice(0, key.lastIndexOf(':'))) !== target || !candles.length) return;
+        const latest = candles[candles.length - 1].timestamp;
+        if (!trendlineCandles.length || latest > trendlineCandles[trendlineCandles.length - 1].timestamp) {
+          trendlineCandles = candles;
+        }
+      });
+    } catch (e) {
+      console.error('Failed to load candles:', e);
+    }
+
+    const options = trendlineCandles.length === 0
+      ? '<option value="">No candles from chart</option>'
+      : [...trendlineCandles].reverse().map(c => {
+        const d = new Date(c.timestamp);
+        const label = `${d.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${d.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        return `<option value="${c.timestamp}">${label} · H ${formatPrice(c.high)} L ${formatPrice(c.low)}</option>`;
+      }).join('');
+
+    anchorCandleInputs.forEach((select, i) => {
+      select.innerHTML = options;
+      // Default anchors: ten candles back and the latest candle
+      if (trendlineCandles.length > 1) {
+        select.selectedIndex = i === 0 ? Math.min(10, trendlineCandles.length - 1) : 0;
+      }
+      fillAnchorPrice(i);
+    });
+  }
+
+  function fillAnchorPrice(index) {
+    const timestamp = Number(anchorCandleInputs[index].value);
+    const candle = trendlineCandles.find(c => c.timestamp === timestamp);
+    if (candle) anchorPriceInputs[index].value = candle.close;
+  }
+
+  anchorCandleInputs.forEach((select, i) => {
+    select.addEventListener('change', () => fillAnchorPrice(i));
+  });
+
+  function flagInvalid(input) {
+    input.style.borderColor = '#ef5350';
+    input.style.boxShadow = '0 0 0 3px rgba(239, 83, 80, 0.2)';
+    setTimeout(() => {
+      input.style.borderColor = '';
+      input.style.boxShadow = '';
+    }, 1000);
+  }
+
+  // Build the ADD_LEVEL message for the selected alert type (null if invalid)
+  function buildLevelMessage() {
+    const message = {
+      type: 'ADD_LEVEL',
+      symbol: getSelectedSymbol(),
+      direction: directionInput.value,
+      color: colorInput.value,
+      sound: soundInput.value,
+      volume: parseFloat(volumeInput.value),
+      speak: speakInput.checked,
+      critical: criticalInput.checked
+    };
+    const confirm = {
+      confirmOnClose: confirmCloseInput.checked,
+      confirmTimeframe: confirmCloseInput.checked ? confirmTimeframeInput.value : null
+    };
+
+    if (alertTypeInput.value === 'reminder') {
+      const days = [...reminderDayInputs].filter(input => input.checked).map(input => Number(input.value));
+      if (!reminderTimeInput.value) {
+        flagInvalid(reminderTimeInput);
+        return null;
+      }
+      if (!reminderNoteInput.value.trim()) {
+        flagInvalid(reminderNoteInput);
+        return null;
+      }
+      if (days.length === 0) {
+        flagInvalid(reminderDayInputs[0]);
+        return null;
+      }
+
+      return {
+        ...message,
+        levelType: 'reminder',
+        time: reminderTimeInput.value,
+        days,
+        note: reminderNoteInput.value.trim(),
+        repeating: reminderRepeatInput.checked
+      };
+    }
+
+    const schedule = readScheduleFields();
+    if (!schedule) return null;
+    Object.assign(message, schedule);
+
+    if (alertTypeInput.value === 'volume') {
+      const multiplier = parseFloat(volumeMultipleInput.value);
+      const lookback = parseInt(volumeLookbackInput.value);
+      const minVolume = parseFloat(volumeMinInput.value);
+
+      if (!(multiplier > 0) && !(minVolume > 0)) {
+        flagInvalid(volumeMultipleInput);
+        return null;
+      }
+      if (!(lookback >= 1 && lookback <= 50)) {
+        flagInvalid(volumeLookbackInput);
+        return null;
+      }
+
+      return {
+        ...message,
+        levelType: 'volume',
+        multiplier: multiplier > 0 ? multiplier : null,
+        lookback,
+        minVolume: minVolume > 0 ? minVolume : null,
+        timeframe: volumeTimeframeInput.value
+      };
+    }
+
+    if (alertTypeInput.value === 'move') {
+      const threshold = parseFloat(moveThresholdInput.value);
+      const windowMinutes = parseInt(moveWindowInput.value);
+
+      if (!threshold || threshold <= 0) {
+        flagInvalid(moveThresholdInput);
+        return null;
+      }
+      if (moveReferenceInput.value === 'rolling' && !windowMinutes) {
+        flagInvalid(moveWindowInput);
+        return null;
+      }
+
+      return {
+        ...message,
+        levelType: 'move',
+        threshold,
+        unit: moveUnitInput.value,
+        reference: moveReferenceInput.value,
+        windowMinutes: windowMinutes > 0 ? windowMinutes : null,
+        // The chart price is only a valid reference for the chart's own symbol;
+        // otherwise the background uses the last price it saw for the picked one
+        referencePrice: moveReferenceInput.value === 'creation' && message.symbol !== 'ALL' &&
+          normalizeSymbol(message.symbol) === normalizeSymbol(currentSymbol) ? currentPrice : null
+      };
+    }
+
+    if (alertTypeInput.value === 'zone') {
+      const low = parseFloat(zoneLowInput.value);
+      const high = parseFloat(zoneHighInput.value);
+      const insideMinutes = parseInt(zoneMinutesInput.value);
+
+      if (!low || low <= 0) {
+        flagInvalid(zoneLowInput);
+        return null;
+      }
+      if (!high || high <= 0 || high === low) {
+        flagInvalid(zoneHighInput);
+        return null;
+      }
+      if (zoneEventInput.value === 'inside' && !(insideMinutes > 0)) {
+        flagInvalid(zoneMinutesInput);
+        return null;
+      }
+
+      return {
+        ...message,
+        levelType: 'zone',
+        low,
+        high,
+        zoneEvent: zoneEventInput.value,
+        insideMinutes: insideMinutes > 0 ? insideMinutes : 0
+      };
+    }
+
+    if (alertTypeInput.value === 'trendline') {
+      // Anchors come from the connected chart's candles, so the line belongs to its symbol
+      const chartSymbol = normalizeSymbol(currentSymbol);
+      if (!chartSymbol || (symbolInput.value && symbolInput.value !== chartSymbol)) {
+        flagInvalid(symbolInput);
+        return null;
+      }
+      message.symbol = chartSymbol;
+
+      const anchors = anchorCandleInputs.map((select, i) => ({
+        time: Number(select.value),
+        price: parseFloat(anchorPriceInputs[i].value)
+      }));
+
+      for (let i = 0; i < anchors.length; i++) {
+        if (!anchors[i].time) {
+          flagInvalid(anchorCandleInputs[i]);
+          return null;
+        }
+        if (!anchors[i].price || anchors[i].price <= 0) {
+          flagInvalid(anchorPriceInputs[i]);
+          return null;
+        }
+      }
+      if (anchors[0].time === anchors[1].time) {
+        flagInvalid(anchorCandleInputs[1]);
+        return null;
+      }
+
+      const rearm = readRearmRule();
+      if (!rearm) return null;
+      return { ...message, ...confirm, rearm, repeating: levelRepeatInput.checked, levelType: 'trendline', anchors };
+    }
+
+    const price = parseFloat(priceInput.value);
+    if (!price || price <= 0) {
+      flagInvalid(priceInput);
+      return null;
+    }
+    const rearm = readRearmRule();
+    if (!rearm) return null;
+    return { ...message, ...confirm, rearm, repeating: levelRepeatInput.checked, price };
+  }
+
+  function resetLevelForm() {
+    priceInput.value = '';
+    moveThresholdInput.value = '';
+    moveWindowInput.value = '';
+    zoneLowInput.value = '';
+    zoneHighInput.value = '';
+    zoneMinutesInput.value = '';
+    confirmCloseInput.checked = false;
+    confirmTimeframeInput.disabled = true;
+    volumeMinInput.value = '';
+    reminderNoteInput.value = '';
+    expiresInput.value = 'never';
+  }
+
+  // Add new alert
+  addBtn.addEventListener('click', async () => {
+    const message = buildLevelMessage();
+    if (!message) return;
+
+    try {
+      await chrome.runtime.sendMessage(message);
+
+      resetLevelForm();
+      await loadAlerts();
+
+      // Success feedback
+      addBtn.style.background = 'linear-gradient(135deg, #26a69a 0%, #2e7d32 100%)';
+      setTimeout(() => {
+        addBtn.style.background = '';
+      }, 500);
+    } catch (e) {
+      console.error('Failed to add alert:', e);
+    }
+  });
+
+  // Allow Enter key to add alert
+  [priceInput, moveThresholdInput, moveWindowInput, zoneLowInput, zoneHighInput, zoneMinutesInput].forEach(input => {
+    input.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        addBtn.click();
+      }
+    });
+  });
+
+  // Set current price as default placeholder
+  priceInput.addEventListener('focus', () => {
+    if (!priceInput.value && currentPrice) {
+      priceInput.placeholder = formatPrice(currentPrice);
+    }
+  });
+
+  // Clear all alerts
+  clearAlertsBtn.addEventListener('click', async () => {
+    if (confirm('Clear all alert levels?')) {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ALL' });
+      loadAlerts();
+    }
+  });
+
+  // ============ HISTORY TAB ============
+
+  async function loadHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_ALERT_HISTORY' });
+      renderHistory(response.history || []);
+    } catch (e) {
+      console.error('Failed to load alert history:', e);
+      renderHistory([]);
+    }
+  }
+
+  function setupHistoryFilters() {
+    historyFilterBtns.forEach(btn => {
+      btn.addEventListener('click', () => {
+        historyFilterBtns.forEach(b => b.classList.remove('active'));
+        btn.classList.add('active');
+        currentHistoryFilter = btn.dataset.historyFilter;
+        loadHistory();
+      });
+    });
+    historySymbolFilter.addEventListener('change', loadHistory);
+  }
+
+  function renderHistory(history) {
+    historyBadge.textContent = history.filter(h => !h.acknowledged).length;
+
+    // Symbol choices come from the history itself; keep the selection across refreshes
+    const symbols = [...new Set(history.map(h => h.symbol).filter(Boolean))].sort();
+    const optionsHtml = '<option value="">All symbols</option>' +
+      symbols.map(sym => `<option value="${sym}">${sym}</option>`).join('');
+    if (historySymbolFilter.dataset.html !== optionsHtml) {
+      const selected = historySymbolFilter.value;
+      historySymbolFilter.innerHTML = optionsHtml;
+      historySymbolFilter.dataset.html = optionsHtml;
+      historySymbolFilter.value = symbols.includes(selected) ? selected : '';
+    }
+
+    const entries = history.filter(h =>
+      (currentHistoryFilter !== 'unacknowledged' || !h.acknowledged) &&
+      (!historySymbolFilter.value || h.symbol === historySymbolFilter.value)
+    );
+
+    if (entries.length === 0) {
+      historyList.innerHTML = `
+        <div class="empty-state">
+          <svg viewBox="0 0 24 24">
+            <path d="M13 3c-4.97 0-9 4.03-9 9H1l3.89 3.89.07.14L9 12H6c0-3.87 3.13-7 7-7s7 3.13 7 7-3.13 7-7 7c-1.93 0-3.68-.79-4.94-2.06l-1.42 1.42C8.27 19.99 10.51 21 13 21c4.97 0 9-4.03 9-9s-4.03-9-9-9zm-1 5v5l4.28 2.54.72-1.21-3.5-2.08V8H12z"/>
+          </svg>
+          <p>No triggered alerts</p>
+          <p class="hint">Alerts appear here when they fire</p>
+        </div>
+      `;
+      return;
+    }
+
+    historyList.innerHTML = entries.map(entry => {
+      const date = new Date(entry.triggeredAt);
+      const timeStr = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      const dateStr = date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+      return `
+        <div class="alert-item ${entry.acknowledged ? 'acknowledged' : ''}" data-id="${entry.id}">
+          <div class="alert-color" style="background: ${entry.color || '#ff9800'}"></div>
+          <div class="alert-info">
+            <div class="alert-price">${escapeHtml(entry.title)}</div>
+            <div class="alert-meta">${escapeHtml(entry.message).replace(/\n/g, ' • ')}</div>
+            <div class="alert-meta">${dateStr} ${timeStr}${getEscalationText(entry)}</div>
+          </div>
+          ${entry.acknowledged ? '' : `
+          <div class="alert-actions">
+            <button class="action-btn" data-action="acknowledge" title="Acknowledge">
+              <svg viewBox="0 0 24 24"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>
+            </button>
+          </div>`}
+        </div>
+      `;
+    }).join('');
+
+    historyList.querySelectorAll('[data-action="acknowledge"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const entryId = e.target.closest('.alert-item').dataset.id;
+        await chrome.runtime.sendMessage({ type: 'ACKNOWLEDGE_ALERT', id: entryId });
+        loadHistory();
+      });
+    });
+  }
+
+  // Critical entries note that they keep escalating until acknowledged
+  function getEscalationText(entry) {
+    if (!entry.critical) return '';
+    if (entry.acknowledged) return ' • Critical';
+    return ` • Critical, ${entry.escalations ? `reminded ${entry.escalations}×` : 'escalating'}`;
+  }
+
+  acknowledgeAllBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'ACKNOWLEDGE_ALL' });
+    loadHistory();
+  });
+
+  clearHistoryBtn.addEventListener('click', async () => {
+    if (confirm('Clear triggered alert history?')) {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_ALERT_HISTORY' });
+      loadHistory();
+    }
+  });
+
+  // Refresh history and its badge whenever an alert fires or is acknowledged
+  chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes.alertHistory) {
+      loadHistory();
+    }
+    if (namespace === 'local' && changes.webhookLog && settingsModal.classList.contains('active')) {
+      loadWebhookLog();
+    }
+    if (namespace === 'local' && changes.syncStatus) {
+      renderSyncStatus(changes.syncStatus.newValue);
+    }
+    // Levels and templates pulled in from another device
+    if (namespace === 'local' && changes.alertLevels && !editingLevelId) {
+      loadAlerts();
+    }
+    if (namespace === 'local' && changes.levelTemplates) {
+      loadTemplates();
+    }
+  });
+
+  // ============ TEMPLATES ============
+
+  const MAX_TEMPLATE_LEVELS = 50;
+  const DEFAULT_TEMPLATES = [
+    { id: 'default-offsets', name: '±0.5% / 1% / 2%', kind: 'offsets', offsets: [0.5, 1, 2], unit: 'percent', aboveColor: '#26a69a', belowColor: '#ef5350' },
+    { id: 'default-round', name: 'Round $5 within 3%', kind: 'round', step: 5, range: 3, aboveColor: '#2962ff', belowColor: '#ff9800' }
+  ];
+
+  async function loadTemplates() {
+    try {
+      const result = await chrome.storage.local.get(['levelTemplates']);
+      renderTemplates(result.levelTemplates || DEFAULT_TEMPLATES);
+    } catch (e) {
+      console.error('Failed to load templates:', e);
+      renderTemplates([]);
+    }
+  }
+
+  function getTemplateDescription(template) {
+    if (template.kind === 'round') {
+      return `Every $${template.step} within ${template.range}% of price`;
+    }
+    const offsets = template.offsets.map(o => template.unit === 'amount' ? `$${o}` : `${o}%`).join(', ');
+    return `± ${offsets} around price`;
+  }
+
+  function renderTemplates(templates) {
+    if (templates.length === 0) {
+      templateList.innerHTML = '<p class="settings-hint">No templates saved</p>';
+      return;
+    }
+
+    templateList.innerHTML = templates.map(template => `
+      <div class="alert-item" data-id="${template.id}">
+        <div class="alert-color" style="background: linear-gradient(${template.aboveColor} 50%, ${template.belowColor} 50%)"></div>
+        <div class="alert-info">
+          <div class="alert-price">${template.name}</div>
+          <div class="alert-meta">${getTemplateDescription(template)}</div>
+        </div>
+        <div class="alert-actions">
+          <button class="action-btn" data-action="apply-template" title="Apply to this chart">
+            <svg viewBox="0 0 24 24"><path d="M8 5v14l11-7z"/></svg>
+          </button>
+          <button class="action-btn delete" data-action="delete-template" title="Delete">
+            <svg viewBox="0 0 24 24">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    templateList.querySelectorAll('[data-action="apply-template"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const item = e.target.closest('.alert-item');
+        const template = templates.find(t => t.id === item.dataset.id);
+        await applyTemplate(template, btn);
+      });
+    });
+
+    templateList.querySelectorAll('[data-action="delete-template"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const templateId = e.target.closest('.alert-item').dataset.id;
+        await chrome.storage.local.set({ levelTemplates: templates.filter(t => t.id !== templateId) });
+        loadTemplates();
+      });
+    });
+  }
+
+  function roundLevelPrice(value) {
+    return Number(value.toFixed(value >= 1 ? 2 : 4));
+  }
+
+  // Price levels a template produces around the given price
+  function generateTemplateLevels(template, price) {
+    const level = value => ({
+      price: roundLevelPrice(value),
+      direction: value > price ? 'above' : value < price ? 'below' : 'both',
+      color: value >= price ? template.aboveColor : template.belowColor
+    });
+
+    if (template.kind === 'round') {
+      const low = price * (1 - template.range / 100);
+      const high = price * (1 + template.range / 100);
+      const levels = [];
+      for (let n = Math.ceil(low / template.step); n * template.step <= high; n++) {
+        levels.push(level(n * template.step));
+        if (levels.length >= MAX_TEMPLATE_LEVELS) break;
+      }
+      return levels;
+    }
+
+    return template.offsets.flatMap(offset => {
+      const delta = template.unit === 'amount' ? offset : price * offset / 100;
+      return [level(price + delta), level(price - delta)];
+    }).filter(l => l.price > 0);
+  }
+
+  // Add a template's levels for the symbol and price the chart reports
+  async function applyTemplate(template, btn) {
+    try {
+      const tab = await getChartTab();
+      const response = tab ? await chrome.tabs.sendMessage(tab.id, { type: 'GET_PRICE' }) : null;
+      if (!response || !response.price) {
+        alert('Open a TradingView chart to apply a template');
+        return;
+      }
+
+      const symbol = normalizeSymbol(response.symbol) || 'ALL';
+      // One message, so the whole template lands in a single save
+      const levels = generateTemplateLevels(template, response.price).map(level => ({ symbol, ...level }));
+      const result = await chrome.runtime.sendMessage({ type: 'ADD_LEVELS', levels });
+      if (!result || !result.success) {
+        alert(`Could not apply template: ${result ? result.error : 'no response'}`);
+        return;
+      }
+      await loadAlerts();
+
+      btn.style.color = '#26a69a';
+      setTimeout(() => { btn.style.color = ''; }, 800);
+    } catch (e) {
+      console.error('Failed to apply template:', e);
+    }
+  }
+
+  newTemplateBtn.addEventListener('click', () => {
+    templateForm.classList.toggle('active');
+  });
+
+  cancelTemplateBtn.addEventListener('click', () => {
+    templateForm.classList.remove('active');
+  });
+
+  templateKindInput.addEventListener('change', () => {
+    templateKindFields.forEach(el => {
+      el.classList.toggle('active', el.dataset.kind === templateKindInput.value);
+    });
+  });
+
+  saveTemplateBtn.addEventListener('click', async () => {
+    const name = templateNameInput.value.trim();
+    if (!name) {
+      flagInvalid(templateNameInput);
+      return;
+    }
 
-  // Add new alert
-  addBtn.addEventListener('click', async () => {
-    const price = parseFloat(priceInput.value);
+    const template = {
+      id: Date.now().toString(36),
+      updatedAt: Date.now(),
+      name,
+      kind: templateKindInput.value,
+      aboveColor: templateAboveColorInput.value,
+      belowColor: templateBelowColorInput.value
+    };
 
-    if (!price || price <= 0) {
-      priceInput.style.borderColor = '#ef5350';
-      priceInput.style.boxShadow = '0 0 0 3px rgba(239, 83, 80, 0.2)';
-      setTimeout(() => {
-        priceInput.style.borderColor = '';
-        priceInput.style.boxShadow = '';
-      }, 1000);
-      return;
+    if (template.kind === 'round') {
+      template.step = parseFloat(templateStepInput.value);
+      template.range = parseFloat(templateRangeInput.value);
+      if (!(template.step > 0)) {
+        flagInvalid(templateStepInput);
+        return;
+      }
+      if (!(template.range > 0)) {
+        flagInvalid(templateRangeInput);
+        return;
+      }
+    } else {
+      template.offsets = templateOffsetsInput.value.split(/[,\s]+/).filter(Boolean).map(parseFloat);
+      template.unit = templateUnitInput.value;
+      if (template.offsets.length === 0 || template.offsets.some(o => !(o > 0))) {
+        flagInvalid(templateOffsetsInput);
+        return;
+      }
     }
 
     try {
-      await chrome.runtime.sendMessage({
-        type: 'ADD_LEVEL',
-        price: price,
-        symbol: currentSymbol,
-        direction: directionInput.value,
-        color: colorInput.value
-      });
+      const result = await chrome.storage.local.get(['levelTemplates']);
+      const templates = result.levelTemplates || DEFAULT_TEMPLATES;
+      await chrome.storage.local.set({ levelTemplates: [...templates, template] });
+
+      templateNameInput.value = '';
+      templateOffsetsInput.value = '';
+      templateStepInput.value = '';
+      templateRangeInput.value = '';
+      templateForm.classList.remove('active');
+      loadTemplates();
+    } catch (e) {
+      console.error('Failed to save template:', e);
+    }
+  });
 
-      priceInput.value = '';
-      await loadAlerts();
+  // ============ IMPORT / EXPORT ============
+
+  // Flat columns for CSV; anchors and re-arm rules are spread over several
+  const LEVEL_CSV_COLUMNS = [
+    'type', 'symbol', 'direction', 'price', 'low', 'high', 'zoneEvent', 'insideMinutes',
+    'threshold', 'unit', 'reference', 'windowMinutes', 'referencePrice',
+    'optionType', 'strike', 'expiration', 'field',
+    'multiplier', 'lookback', 'minVolume', 'timeframe',
+    'time', 'days', 'note', 'session', 'sessionStart', 'sessionEnd', 'expiresAt',
+    'anchor1Time', 'anchor1Price', 'anchor2Time', 'anchor2Price',
+    'confirmOnClose', 'confirmTimeframe', 'rearmMode', 'rearmValue', 'rearmTickSize',
+    'color', 'enabled', 'repeating', 'sound', 'volume', 'speak', 'critical', 'drawingId'
+  ];
+
+  function updateExportScopeOptions() {
+    const html = `
+      <option value="all">All levels</option>
+      <option value="enabled">Active only</option>
+      ${knownSymbols.map(s => `<option value="${s}">${s} only</option>`).join('')}
+    `;
+    if (exportScopeInput.dataset.html === html) return;
+
+    const selected = exportScopeInput.value;
+    exportScopeInput.dataset.html = html;
+    exportScopeInput.innerHTML = html;
+    if ([...exportScopeInput.options].some(o => o.value === selected)) {
+      exportScopeInput.value = selected;
+    }
+  }
 
-      // Success feedback
-      addBtn.style.background = 'linear-gradient(135deg, #26a69a 0%, #2e7d32 100%)';
-      setTimeout(() => {
-        addBtn.style.background = '';
-      }, 500);
+  // Levels in the chosen export scope, without per-install fields
+  async function getExportLevels() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_LEVELS' });
+    const scope = exportScopeInput.value;
+    return (response.levels || [])
+      .filter(l => scope === 'all' || (scope === 'enabled' ? l.enabled : l.symbol === scope))
+      .map(({ id, createdAt, snoozedUntil, ...level }) => ({ ...level, type: level.type || 'price' }));
+  }
+
+  function levelToCsvRow(level) {
+    const flat = {
+      ...level,
+      anchor1Time: level.anchors ? level.anchors[0].time : '',
+      anchor1Price: level.anchors ? level.anchors[0].price : '',
+      anchor2Time: level.anchors ? level.anchors[1].time : '',
+      anchor2Price: level.anchors ? level.anchors[1].price : '',
+      rearmMode: level.rearm ? level.rearm.mode : '',
+      rearmValue: level.rearm ? level.rearm.value : '',
+      rearmTickSize: level.rearm && level.rearm.tickSize ? level.rearm.tickSize : ''
+    };
+    return LEVEL_CSV_COLUMNS.map(col => {
+      const value = flat[col] ?? '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+  }
+
+  function downloadFile(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  exportJsonBtn.addEventListener('click', async () => {
+    try {
+      const levels = await getExportLevels();
+      if (levels.length === 0) {
+        alert('No levels to export');
+        return;
+      }
+      const content = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), levels }, null, 2);
+      downloadFile(content, 'application/json', `alert_levels_${new Date().toISOString().split('T')[0]}.json`);
     } catch (e) {
-      console.error('Failed to add alert:', e);
+      console.error('Failed to export levels:', e);
     }
   });
 
-  // Allow Enter key to add alert
-  priceInput.addEventListener('keypress', (e) => {
-    if (e.key === 'Enter') {
-      addBtn.click();
+  exportCsvBtn.addEventListener('click', async () => {
+    try {
+      const levels = await getExportLevels();
+      if (levels.length === 0) {
+        alert('No levels to export');
+        return;
+      }
+      const content = [LEVEL_CSV_COLUMNS.join(','), ...levels.map(levelToCsvRow)].join('\n');
+      downloadFile(content, 'text/csv', `alert_levels_${new Date().toISOString().split('T')[0]}.csv`);
+    } catch (e) {
+      console.error('Failed to export levels:', e);
     }
   });
 
-  // Set current price as default placeholder
-  priceInput.addEventListener('focus', () => {
-    if (!priceInput.value && currentPrice) {
-      priceInput.placeholder = formatPrice(currentPrice);
+  // Split CSV text into rows of fields, honouring quoted fields
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
     }
-  });
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+  }
 
-  // Clear all alerts
-  clearAlertsBtn.addEventListener('click', async () => {
-    if (confirm('Clear all alert levels?')) {
-      await chrome.runtime.sendMessage({ type: 'CLEAR_ALL' });
+  // Turn a CSV row back into the JSON level shape
+  function csvRowToLevel(headers, fields) {
+    const raw = {};
+    headers.forEach((header, i) => {
+      const value = (fields[i] ?? '').trim();
+      if (value !== '') raw[header.trim()] = value;
+    });
+
+    const bool = value => value === undefined ? undefined : /^(true|1|yes)$/i.test(value);
+    const level = {
+      ...raw,
+      enabled: raw.enabled === undefined ? true : bool(raw.enabled),
+      repeating: bool(raw.repeating),
+      speak: bool(raw.speak),
+      critical: bool(raw.critical),
+      confirmOnClose: bool(raw.confirmOnClose),
+      volume: raw.volume !== undefined ? parseFloat(raw.volume) : undefined
+    };
+    if (raw.anchor1Time || raw.anchor2Time) {
+      level.anchors = [
+        { time: Number(raw.anchor1Time), price: Number(raw.anchor1Price) },
+        { time: Number(raw.anchor2Time), price: Number(raw.anchor2Price) }
+      ];
+    }
+    if (raw.rearmMode) {
+      level.rearm = { mode: raw.rearmMode, value: parseFloat(raw.rearmValue) };
+      if (raw.rearmTickSize) level.rearm.tickSize = parseFloat(raw.rearmTickSize);
+    }
+    ['anchor1Time', 'anchor1Price', 'anchor2Time', 'anchor2Price', 'rearmMode', 'rearmValue', 'rearmTickSize']
+      .forEach(key => delete level[key]);
+    return level;
+  }
+
+  // Parse an import file into level objects plus a label for each source row
+  function parseImportFile(name, text) {
+    if (/\.csv$/i.test(name) || !/^\s*[[{]/.test(text)) {
+      const [headers, ...rows] = parseCsv(text);
+      if (!headers || !headers.includes('type')) throw new Error('CSV needs a header row with a "type" column');
+      return { levels: rows.map(fields => csvRowToLevel(headers, fields)), rowLabel: i => `Line ${i + 2}` };
+    }
+
+    const data = JSON.parse(text);
+    const levels = Array.isArray(data) ? data : data.levels;
+    if (!Array.isArray(levels)) throw new Error('JSON needs a "levels" array');
+    return { levels, rowLabel: i => `Level ${i + 1}` };
+  }
+
+  // Turn the chart's horizontal lines and rays into alerts (or update the ones already linked)
+  syncDrawingsBtn.addEventListener('click', async () => {
+    try {
+      const tab = await getChartTab();
+      if (!tab) {
+        drawingSyncStatus.textContent = 'Open a TradingView chart first.';
+        return;
+      }
+      const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_DRAWINGS' });
+      const drawings = (response && response.drawings) || [];
+      if (drawings.length === 0) {
+        drawingSyncStatus.textContent = 'No horizontal lines captured yet. Reload or save the chart layout, then try again.';
+        return;
+      }
+
+      const result = await chrome.runtime.sendMessage({ type: 'SYNC_DRAWINGS', drawings });
+      const parts = [`${result.created} created`, `${result.updated} updated`, `${result.unchanged} unchanged`];
+      if (result.disabled) parts.push(`${result.disabled} disabled (hidden on chart)`);
+      if (result.skipped) parts.push(`${result.skipped} skipped`);
+      drawingSyncStatus.textContent = `${drawings.length} drawings: ${parts.join(' • ')}`;
       loadAlerts();
+    } catch (e) {
+      console.error('Failed to sync drawings:', e);
+      drawingSyncStatus.textContent = 'Could not reach the chart. Reload the TradingView tab.';
+    }
+  });
+
+  importLevelsBtn.addEventListener('click', () => importFileInput.click());
+
+  importFileInput.addEventListener('change', async () => {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    try {
+      const parsed = parseImportFile(file.name, await file.text());
+      const response = await chrome.runtime.sendMessage({
+        type: 'IMPORT_LEVELS',
+        levels: parsed.levels,
+        dryRun: true
+      });
+      pendingImport = { ...parsed, name: file.name };
+      renderImportPreview(response.preview || []);
+    } catch (e) {
+      pendingImport = null;
+      importPreview.classList.add('active');
+      importPreview.innerHTML = `<div class="import-summary">Could not read ${file.name}: ${e.message}</div>`;
     }
   });
 
+  function renderImportPreview(preview) {
+    const count = status => preview.filter(p => p.status === status).length;
+    const fileDuplicates = preview.filter(p => p.of === 'file').length;
+    const newCount = count('new');
+    const replaceCount = preview.length - count('invalid') - fileDuplicates;
+
+    const issues = preview.filter(p => p.status !== 'new').map(p => {
+      if (p.status === 'invalid') {
+        return `<div class="invalid">${pendingImport.rowLabel(p.index)}: ${p.error}</div>`;
+      }
+      const where = p.of === 'file' ? 'repeated in this file' : 'already set';
+      return `<div class="duplicate">${pendingImport.rowLabel(p.index)}: ${getSymbolText(p.level.symbol)} ${getLevelTitle(p.level)} ${where}</div>`;
+    }).join('');
+
+    importPreview.classList.add('active');
+    importPreview.innerHTML = `
+      <div class="import-summary">
+        ${pendingImport.name}: ${newCount} new • ${count('duplicate')} duplicate • ${count('invalid')} invalid
+      </div>
+      ${issues ? `<div class="import-issues">${issues}</div>` : ''}
+      <div class="editor-actions">
+        <button class="btn btn-primary" data-import="merge" ${newCount ? '' : 'disabled'}>Merge (+${newCount})</button>
+        <button class="btn btn-secondary" data-import="replace" ${replaceCount ? '' : 'disabled'}>Replace All (${replaceCount})</button>
+        <button class="btn btn-secondary" data-import="cancel">Cancel</button>
+      </div>
+    `;
+
+    importPreview.querySelectorAll('[data-import]').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        const mode = btn.dataset.import;
+        if (mode === 'replace' && !confirm(`Replace all alert levels with ${replaceCount} imported levels?`)) return;
+
+        if (mode !== 'cancel') {
+          await chrome.runtime.sendMessage({ type: 'IMPORT_LEVELS', levels: pendingImport.levels, mode });
+          await loadAlerts();
+        }
+        pendingImport = null;
+        importPreview.classList.remove('active');
+        importPreview.innerHTML = '';
+      });
+    });
+  }
+
   // ============ TRADES TAB ============
 
   async function loadTrades() {
@@ -670,6 +2203,214 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // ============ WEBHOOKS ============
+
+  async function loadWebhookSettings() {
+    try {
+      // The default template lives in the background, which renders the payloads
+      const [result, defaults] = await Promise.all([
+        chrome.storage.local.get(['webhookSettings']),
+        chrome.runtime.sendMessage({ type: 'GET_WEBHOOK_DEFAULTS' })
+      ]);
+      const settings = result.webhookSettings || {};
+
+      webhookEnabled.checked = !!settings.enabled;
+      webhookUrlsInput.value = (settings.urls || []).join('\n');
+      Object.entries(webhookEventInputs).forEach(([event, input]) => {
+        input.checked = !settings.events || settings.events[event] !== false;
+      });
+      webhookTemplateInput.value = settings.template || (defaults && defaults.template) || '';
+    } catch (e) {
+      console.error('Failed to load webhook settings:', e);
+    }
+  }
+
+  // Validate and store webhook settings; returns false if something is wrong
+  async function saveWebhookSettings() {
+    const urls = webhookUrlsInput.value.split('\n').map(u => u.trim()).filter(Boolean);
+    const template = webhookTemplateInput.value.trim(); // Empty falls back to the default
+
+    let origins;
+    try {
+      origins = [...new Set(urls.map(u => {
+        const url = new URL(u);
+        if (!/^https?:$/.test(url.protocol)) throw new Error(`Unsupported URL: ${u}`);
+        return `${url.protocol}//${url.hostname}/*`;
+      }))];
+    } catch (e) {
+      showWebhookResult('error', e.message.startsWith('Unsupported') ? e.message : 'Invalid webhook URL');
+      return false;
+    }
+
+    // Placeholders are either quoted strings or bare numbers, so 0 stands in for all of them
+    try {
+      if (template) JSON.parse(template.replace(/\{\{\s*\w+\s*\}\}/g, '0'));
+    } catch (e) {
+      showWebhookResult('error', `Template is not valid JSON: ${e.message}`);
+      return false;
+    }
+
+    // The worker can only POST cross-origin to hosts the user has granted
+    if (webhookEnabled.checked && origins.length > 0) {
+      const granted = await chrome.permissions.request({ origins });
+      if (!granted) {
+        showWebhookResult('error', 'Permission to reach the webhook host was denied');
+        return false;
+      }
+    }
+
+    const events = {};
+    Object.entries(webhookEventInputs).forEach(([event, input]) => {
+      events[event] = input.checked;
+    });
+
+    await chrome.storage.local.set({
+      webhookSettings: { enabled: webhookEnabled.checked, urls, events, template }
+    });
+    return true;
+  }
+
+  saveWebhookSettingsBtn.addEventListener('click', async () => {
+    try {
+      if (!await saveWebhookSettings()) return;
+      showWebhookResult('success', 'Webhook settings saved');
+    } catch (e) {
+      console.error('Failed to save webhook settings:', e);
+      showWebhookResult('error', e.message);
+    }
+  });
+
+  testWebhookBtn.addEventListener('click', async () => {
+    if (!webhookEnabled.checked || !webhookUrlsInput.value.trim()) {
+      showWebhookResult('error', 'Enable webhooks and add a URL first');
+      return;
+    }
+
+    testWebhookBtn.textContent = 'Sending...';
+    testWebhookBtn.disabled = true;
+    try {
+      if (await saveWebhookSettings()) {
+        await chrome.runtime.sendMessage({ type: 'TEST_WEBHOOK' });
+        showWebhookResult('success', 'Test event sent - see the delivery log below');
+      }
+    } catch (e) {
+      showWebhookResult('error', `Test failed: ${e.message}`);
+    } finally {
+      testWebhookBtn.textContent = 'Send Test Event';
+      testWebhookBtn.disabled = false;
+    }
+  });
+
+  // ============ MARKET HOURS ============
+
+  async function loadScheduleSettings() {
+    try {
+      const result = await chrome.storage.local.get(['scheduleSettings']);
+      exchangeTimezoneInput.value = (result.scheduleSettings && result.scheduleSettings.timezone) || 'America/New_York';
+    } catch (e) {
+      console.error('Failed to load schedule settings:', e);
+    }
+  }
+
+  exchangeTimezoneInput.addEventListener('change', async () => {
+    await chrome.storage.local.set({ scheduleSettings: { timezone: exchangeTimezoneInput.value } });
+  });
+
+  // ============ SYNC SETTINGS ============
+
+  async function loadSyncSettings() {
+    try {
+      const result = await chrome.storage.local.get(['syncSettings', 'syncStatus']);
+      syncEnabled.checked = !!(result.syncSettings && result.syncSettings.enabled);
+      syncNowBtn.disabled = !syncEnabled.checked;
+      renderSyncStatus(result.syncStatus);
+    } catch (e) {
+      console.error('Failed to load sync settings:', e);
+    }
+  }
+
+  function renderSyncStatus(status) {
+    if (!syncEnabled.checked || !status || status.state === 'off') {
+      syncStatusEl.className = 'api-test-result';
+      syncStatusEl.textContent = '';
+      return;
+    }
+
+    const usage = status.bytesInUse !== undefined
+      ? ` • ${(status.bytesInUse / 1024).toFixed(1)} of ${Math.floor(status.quota / 1024)} KB used`
+      : '';
+    if (status.state === 'error') {
+      syncStatusEl.className = 'api-test-result error';
+      syncStatusEl.textContent = `Sync failed: ${status.error}${usage}`;
+    } else {
+      const time = new Date(status.lastSyncAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      syncStatusEl.className = 'api-test-result success';
+      syncStatusEl.textContent = `Synced ${status.levels} levels and ${status.templates} templates at ${time}${usage}`;
+    }
+  }
+
+  syncEnabled.addEventListener('change', async () => {
+    syncNowBtn.disabled = !syncEnabled.checked;
+    await chrome.storage.local.set({ syncSettings: { enabled: syncEnabled.checked } });
+    if (!syncEnabled.checked) renderSyncStatus(null);
+  });
+
+  syncNowBtn.addEventListener('click', async () => {
+    syncNowBtn.textContent = 'Syncing...';
+    syncNowBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SYNC_NOW' });
+      renderSyncStatus(response && response.status);
+    } catch (e) {
+      syncStatusEl.className = 'api-test-result error';
+      syncStatusEl.textContent = `Sync failed: ${e.message}`;
+    } finally {
+      syncNowBtn.textContent = 'Sync Now';
+      syncNowBtn.disabled = !syncEnabled.checked;
+    }
+  });
+
+  function showWebhookResult(type, message) {
+    webhookResult.className = `api-test-result ${type}`;
+    webhookResult.textContent = message;
+  }
+
+  async function loadWebhookLog() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_WEBHOOK_LOG' });
+      renderWebhookLog(response.log || []);
+    } catch (e) {
+      console.error('Failed to load webhook log:', e);
+      renderWebhookLog([]);
+    }
+  }
+
+  function renderWebhookLog(log) {
+    if (log.length === 0) {
+      webhookLogList.innerHTML = '<p class="settings-hint">No deliveries yet</p>';
+      return;
+    }
+
+    webhookLogList.innerHTML = log.map(entry => {
+      const time = new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      const retry = entry.nextAttemptAt
+        ? ` • retry at ${new Date(entry.nextAttemptAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}`
+        : '';
+      return `
+        <div class="webhook-log-item">
+          <div><span class="status ${entry.status}">${entry.status}</span>${entry.event} • ${time}</div>
+          <div class="webhook-log-url">${entry.url}</div>
+          <div>Attempt ${entry.attempts}${entry.error ? ` • ${entry.error}` : ''}${retry}</div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  clearWebhookLogBtn.addEventListener('click', async () => {
+    await chrome.runtime.sendMessage({ type: 'CLEAR_WEBHOOK_LOG' });
+    loadWebhookLog();
+  });
+
   function showApiTestResult(type, message) {
     apiTestResult.className = `api-test-result ${type}`;
     apiTestResult.textContent = message;
@@ -678,15 +2419,172 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // ============ PATTERNS TAB ============
 
-  async function loadPatterns() {
+  const PATTERN_NAMES = [
+    'Doji', 'Gravestone Doji', 'Dragonfly Doji', 'Long-Legged Doji', 'Spinning Top',
+    'Hammer', 'Hanging Man', 'Shooting Star', 'Inverted Hammer',
+    'Bullish Marubozu', 'Bearish Marubozu', 'Bullish Engulfing', 'Bearish Engulfing',
+    'Bullish Harami', 'Bearish Harami', 'Tweezer Top', 'Tweezer Bottom',
+    'Piercing Line', 'Dark Cloud Cover', 'Morning Star', 'Evening Star',
+    'Three White Soldiers', 'Three Black Crows'
+  ];
+
+  ruleTypeInput.innerHTML = '<option value="any">Any pattern</option>' +
+    PATTERN_NAMES.map(name => `<option value="${name}">${name}</option>`).join('');
+
+  async function loadPatternRules() {
     try {
-      // Get patterns from content script
-      const tvTabs = await chrome.tabs.query({
-        url: ['https://www.tradingview.com/chart/*', 'https://tradingview.com/chart/*']
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PATTERN_RULES' });
+      renderPatternRules((response && response.rules) || []);
+    } catch (e) {
+      console.error('Failed to load pattern rules:', e);
+      renderPatternRules([]);
+    }
+  }
+
+  function renderPatternRules(rules) {
+    if (rules.length === 0) {
+      patternRuleList.innerHTML = '<p class="settings-hint">No rules yet. Matching patterns will notify you and be kept in History.</p>';
+      return;
+    }
+
+    patternRuleList.innerHTML = rules.map(rule => `
+      <div class="alert-item" data-id="${rule.id}">
+        <div class="alert-color" style="background: ${getRuleColor(rule)}"></div>
+        <div class="alert-info">
+          <div class="alert-price">${getRuleTitle(rule)}</div>
+          <div class="alert-meta">
+            ${getSymbolText(rule.symbol)} • ${rule.timeframe ? formatTimeframe(rule.timeframe) : 'Any timeframe'} • ≥ ${rule.minConfidence}% ${rule.enabled ? '• Active' : '• Paused'}
+          </div>
+        </div>
+        <div class="alert-actions">
+          <button class="action-btn ${rule.enabled ? 'enabled' : ''}" data-action="toggle-rule" title="${rule.enabled ? 'Disable' : 'Enable'}">
+            <svg viewBox="0 0 24 24">
+              ${rule.enabled
+                ? '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm-2 15l-5-5 1.41-1.41L10 14.17l7.59-7.59L19 8l-9 9z"/>'
+                : '<path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm0 18c-4.42 0-8-3.58-8-8s3.58-8 8-8 8 3.58 8 8-3.58 8-8 8z"/>'
+              }
+            </svg>
+          </button>
+          <button class="action-btn" data-action="edit-rule" title="Edit">
+            <svg viewBox="0 0 24 24">
+              <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
+            </svg>
+          </button>
+          <button class="action-btn delete" data-action="delete-rule" title="Delete">
+            <svg viewBox="0 0 24 24">
+              <path d="M19 6.41L17.59 5 12 10.59 6.41 5 5 6.41 10.59 12 5 17.59 6.41 19 12 13.41 17.59 19 19 17.59 13.41 12z"/>
+            </svg>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    patternRuleList.querySelectorAll('[data-action="toggle-rule"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const ruleId = e.target.closest('.alert-item').dataset.id;
+        await chrome.runtime.sendMessage({ type: 'TOGGLE_PATTERN_RULE', id: ruleId });
+        loadPatternRules();
+      });
+    });
+
+    patternRuleList.querySelectorAll('[data-action="edit-rule"]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const rule = rules.find(r => r.id === e.target.closest('.alert-item').dataset.id);
+        openPatternRuleForm(rule);
+      });
+    });
+
+    patternRuleList.querySelectorAll('[data-action="delete-rule"]').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const ruleId = e.target.closest('.alert-item').dataset.id;
+        await chrome.runtime.sendMessage({ type: 'DELETE_PATTERN_RULE', id: ruleId });
+        if (editingRuleId === ruleId) closePatternRuleForm();
+        loadPatternRules();
+      });
+    });
+  }
+
+  // e.g. "Bullish Engulfing" or "Any bearish pattern"
+  function getRuleTitle(rule) {
+    if (rule.pattern !== 'any') return rule.pattern;
+    return rule.direction === 'any' ? 'Any pattern' : `Any ${rule.direction} pattern`;
+  }
+
+  function getRuleColor(rule) {
+    const name = rule.pattern.toLowerCase();
+    if (rule.direction === 'bullish' || /bullish|hammer$|bottom|piercing|morning|white/.test(name)) return '#26a69a';
+    if (rule.direction === 'bearish' || /bearish|hanging|shooting|top$|dark|evening|black/.test(name)) return '#ef5350';
+    return '#ff9800';
+  }
+
+  // Fill the rule form with an existing rule (or defaults for a new one)
+  function openPatternRuleForm(rule) {
+    editingRuleId = rule ? rule.id : null;
+    const chartSymbol = normalizeSymbol(currentSymbol);
+    const symbols = [...new Set([chartSymbol, ...knownSymbols, rule ? rule.symbol : ''].filter(s => s && s !== 'ALL'))];
+    ruleSymbolInput.innerHTML = '<option value="ALL">All symbols</option>' +
+      symbols.map(s => `<option value="${s}">${s}</option>`).join('');
+
+    ruleTypeInput.value = rule ? rule.pattern : 'any';
+    ruleDirectionInput.value = rule ? rule.direction : 'any';
+    ruleSymbolInput.value = rule ? rule.symbol : (chartSymbol || 'ALL');
+    ruleTimeframeInput.value = rule ? rule.timeframe : '';
+    ruleConfidenceInput.value = rule ? rule.minConfidence : 80;
+    savePatternRuleBtn.textContent = rule ? 'Update Rule' : 'Save Rule';
+    patternRuleForm.classList.add('active');
+  }
+
+  function closePatternRuleForm() {
+    editingRuleId = null;
+    patternRuleForm.classList.remove('active');
+  }
+
+  newPatternRuleBtn.addEventListener('click', () => {
+    if (patternRuleForm.classList.contains('active') && !editingRuleId) {
+      closePatternRuleForm();
+    } else {
+      openPatternRuleForm(null);
+    }
+  });
+
+  cancelPatternRuleBtn.addEventListener('click', closePatternRuleForm);
+
+  savePatternRuleBtn.addEventListener('click', async () => {
+    const minConfidence = parseInt(ruleConfidenceInput.value);
+    if (isNaN(minConfidence) || minConfidence < 0 || minConfidence > 100) {
+      flagInvalid(ruleConfidenceInput);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_PATTERN_RULE',
+        rule: {
+          id: editingRuleId,
+          pattern: ruleTypeInput.value,
+          direction: ruleDirectionInput.value,
+          symbol: ruleSymbolInput.value,
+          timeframe: ruleTimeframeInput.value,
+          minConfidence
+        }
       });
+      if (response && response.success) {
+        closePatternRuleForm();
+        loadPatternRules();
+      } else {
+        flagInvalid(ruleConfidenceInput);
+      }
+    } catch (e) {
+      console.error('Failed to save pattern rule:', e);
+    }
+  });
 
-      if (tvTabs.length > 0) {
-        const response = await chrome.tabs.sendMessage(tvTabs[0].id, { type: 'GET_PATTERNS' });
+  async function loadPatterns() {
+    try {
+      // Get patterns from the selected chart's content script
+      const tab = await getChartTab();
+      if (tab) {
+        const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_PATTERNS' });
         if (response && response.patterns) {
           detectedPatterns = response.patterns;
         }
@@ -827,6 +2725,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     if (message.type === 'ORDER_CREATED') {
       loadOrders();
     } else if (message.type === 'PATTERN_DETECTED') {
+      // Only patterns from the chart this panel is showing
+      if (sender.tab && sender.tab.id !== currentTabId) return;
+
       // Add to local list and re-render
       detectedPatterns.unshift(message.pattern);
       if (detectedPatterns.length > 50) detectedPatterns.pop();
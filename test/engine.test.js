@@ -0,0 +1,130 @@
+// Alert engine checks for background.js
+// Run with: node test/engine.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Any chrome.* call resolves to an empty result (or hands it to a callback),
+// which is all the worker needs to load and restore empty state
+const LIST_CALLS = ['getAll', 'query', 'getContexts'];
+function fakeApi(name = '') {
+  const call = (...args) => {
+    const result = LIST_CALLS.includes(name) ? [] : {};
+    const callback = args.find(arg => typeof arg === 'function');
+    if (callback && name !== 'addListener') callback(result);
+    return Promise.resolve(result);
+  };
+  return new Proxy(call, {
+    get: (target, key) => (key === 'then' ? undefined : fakeApi(String(key)))
+  });
+}
+
+// background.js is a classic worker script, so its functions and state are
+// globals of the context it runs in
+function loadBackground() {
+  const context = vm.createContext({
+    chrome: fakeApi(),
+    console: { log: () => {}, warn: () => {}, error: () => {} },
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {},
+    fetch: () => Promise.reject(new Error('offline')),
+    URL,
+    Intl
+  });
+  const source = fs.readFileSync(path.join(__dirname, '..', 'background.js'), 'utf8');
+  vm.runInContext(source, context, { filename: 'background.js' });
+  return context;
+}
+
+// Engine state lives in the context's own realm; read it back as plain JSON
+const read = (engine, expression) => JSON.parse(vm.runInContext(`JSON.stringify(${expression})`, engine));
+
+let failed = 0;
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${e.message.split('\n').join('\n  ')}`);
+  }
+}
+
+// Feed prices through checkMoveLevel and return the prices it fired at
+function runMove(engine, level, prices) {
+  const fired = [];
+  prices.forEach((price, i) => {
+    const triggers = [];
+    engine.checkMoveLevel(level, 'AAPL', price, 1760000000000 + i * 1000, triggers);
+    triggers.forEach(t => fired.push(t.price));
+  });
+  return fired;
+}
+
+function moveLevel(id, repeating) {
+  return {
+    id,
+    type: 'move',
+    symbol: 'AAPL',
+    direction: 'above',
+    threshold: 1,
+    unit: 'percent',
+    reference: 'creation',
+    referencePrice: 100,
+    repeating,
+    enabled: true,
+    createdAt: 1760000000000
+  };
+}
+
+// +1% from 100, a dip to 100.9 (not under half the threshold), then a dip to 100.2 (under it)
+const MOVE_PRICES = [100.5, 101.2, 100.9, 101.3, 101.5, 100.2, 101.5];
+
+check('one-time move alert fires once and stays disarmed', () => {
+  const engine = loadBackground();
+  const level = moveLevel('move-once', false);
+  assert.deepStrictEqual(runMove(engine, level, MOVE_PRICES), [101.2]);
+});
+
+check('saving a one-time move alert re-arms it', () => {
+  const engine = loadBackground();
+  const level = moveLevel('move-saved', false);
+  runMove(engine, level, MOVE_PRICES);
+  engine.clearLevelState(level.id);
+  assert.deepStrictEqual(runMove(engine, level, [100.5, 101.2]), [101.2]);
+});
+
+check('repeating move alert re-arms only under half the threshold', () => {
+  const engine = loadBackground();
+  const level = moveLevel('move-repeat', true);
+  assert.deepStrictEqual(runMove(engine, level, MOVE_PRICES), [101.2, 101.5]);
+});
+
+check('ADD_LEVELS stores every level of a batch at once', () => {
+  const engine = loadBackground();
+  let response;
+  engine.handleMessage({
+    type: 'ADD_LEVELS',
+    levels: [100, 101, 102].map(price => ({ symbol: 'AAPL', price, direction: 'both' }))
+  }, {}, r => { response = r; });
+  assert.strictEqual(response.success, true);
+  assert.deepStrictEqual(read(engine, 'alertLevels.map(l => l.price)'), [100, 101, 102]);
+});
+
+check('ADD_LEVELS adds nothing when one level is invalid', () => {
+  const engine = loadBackground();
+  let response;
+  engine.handleMessage({
+    type: 'ADD_LEVELS',
+    levels: [{ symbol: 'AAPL', price: 100 }, { symbol: 'AAPL', levelType: 'zone', low: 5, high: 5 }]
+  }, {}, r => { response = r; });
+  assert.strictEqual(response.success, false);
+  assert.strictEqual(read(engine, 'alertLevels.length'), 0);
+});
+
+console.log(failed ? `\n${failed} failed` : '\nall passed');
+process.exitCode = failed ? 1 : 0;
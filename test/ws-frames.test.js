@@ -0,0 +1,116 @@
+// WebSocket frame decoding and study naming checks for interceptor.js
+// Run with: node test/ws-frames.test.js
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const EXPOSED = ['decodeFrames', 'findFrameEnd', 'decodePayload', 'getStudyName', 'getStudyKey', 'isLayoutUrl'];
+
+// interceptor.js expects the page's window; give it just enough to install its hooks
+function loadInterceptor() {
+  function FakeWebSocket() {}
+  function FakeXHR() {}
+  FakeXHR.prototype.open = function() {};
+  FakeXHR.prototype.send = function() {};
+
+  const window = {
+    fetch: async () => ({}),
+    WebSocket: FakeWebSocket,
+    location: { hostname: 'www.tradingview.com', href: 'https://www.tradingview.com/chart/AbCd1234/' },
+    postMessage: () => {}
+  };
+  const sandbox = {
+    window,
+    WebSocket: FakeWebSocket,
+    XMLHttpRequest: FakeXHR,
+    URL,
+    console: { log: () => {}, warn: () => {}, error: console.error },
+    setInterval: () => 0,
+    setTimeout: () => 0,
+    clearTimeout: () => {}
+  };
+
+  // The script is one closure with nothing global; hand its helpers out by
+  // adding a line before it closes, so the shipped file carries no test hook
+  const source = fs.readFileSync(path.join(__dirname, '..', 'interceptor.js'), 'utf8');
+  const closing = /\}\)\(\);\s*$/;
+  assert.ok(closing.test(source), 'interceptor.js should end with its closing })();');
+  const exposed = source.replace(closing, `  __exports({ ${EXPOSED.join(', ')} });\n})();\n`);
+
+  let helpers = null;
+  sandbox.__exports = value => { helpers = value; };
+  vm.runInNewContext(exposed, sandbox, { filename: 'interceptor.js' });
+  return helpers;
+}
+
+const { decodeFrames, findFrameEnd, decodePayload, getStudyName, getStudyKey, isLayoutUrl } = loadInterceptor();
+const readFixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+const fixtures = readFixture('ws-frames.json');
+const studyFixtures = readFixture('create-study.json');
+
+let failed = 0;
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`ok - ${name}`);
+  } catch (e) {
+    failed++;
+    console.log(`not ok - ${name}\n  ${e.message.split('\n').join('\n  ')}`);
+  }
+}
+
+// Objects from the vm context have their own prototypes; compare as plain JSON
+const plain = value => JSON.parse(JSON.stringify(value));
+
+fixtures.cases.forEach(({ name, raw, expected }) => {
+  check(name, () => assert.deepStrictEqual(plain(decodeFrames(raw)), expected));
+});
+
+// create_study: [chartSession, studyId, turnaround, parentSeriesId, scriptId, inputs]
+studyFixtures.cases.forEach(({ name, raw, expectedName, expectedKey }) => {
+  check(`study name: ${name}`, () => {
+    const [frame] = decodeFrames(raw);
+    const params = frame.message.p;
+    const studyName = getStudyName(params[4], params[5]);
+    assert.strictEqual(studyName, expectedName);
+    assert.strictEqual(getStudyKey(studyName), expectedKey);
+  });
+});
+
+check('findFrameEnd reads a client frame by string length', () => {
+  const raw = '~m~5~m~héllo~m~4~m~~h~1';
+  assert.strictEqual(findFrameEnd(raw, 7, 5), 12);
+});
+
+check('findFrameEnd reads a server frame by UTF-8 length', () => {
+  const raw = '~m~6~m~héllo~m~4~m~~h~1';
+  assert.strictEqual(findFrameEnd(raw, 7, 6), 12);
+});
+
+check('findFrameEnd rejects a frame longer than the message', () => {
+  assert.strictEqual(findFrameEnd('~m~20~m~{"m":"qsd"}', 8, 20), -1);
+});
+
+check('decodePayload keeps non-JSON text', () => {
+  assert.deepStrictEqual(plain(decodePayload('{"m":')), { text: '{"m":' });
+});
+
+check('isLayoutUrl accepts TradingView layout endpoints only', () => {
+  [
+    '/savechart/',
+    'https://www.tradingview.com/savechart/',
+    'https://charts-storage.tradingview.com/charts-storage/get/layout/AbCd1234/sources?chart_id=1'
+  ].forEach(url => assert.strictEqual(isLayoutUrl(url), true, url));
+  [
+    'https://cdn.example.com/app/layout/main.js',
+    'https://www.tradingview.com/chart/AbCd1234/layout',
+    'https://tradingview.com.example.net/savechart/',
+    'http://www.tradingview.com/savechart/',
+    'not a url ::'
+  ].forEach(url => assert.strictEqual(isLayoutUrl(url), false, url));
+});
+
+console.log(failed ? `\n${failed} failed` : '\nall passed');
+process.exitCode = failed ? 1 : 0;